@@ -1,14 +1,24 @@
-module.exports.version = {
-  major: 1,
-  minor: 2,
-  patch: 16,
-  toUInt8: function() {
-    return ((this.major & 0xffff) << 16)
-      | ((this.minor & 0xff) << 8)
-      | (this.patch & 0xff);
-  }
-};
-
+module.exports.version = require('./lib/version.js');
 module.exports.data = require('./lib/data.js');
 module.exports.voice = require('./lib/voice.js');
+module.exports.varint = require('./lib/varint.js');
 module.exports.udpCrypto = require('./lib/udp-crypto.js');
+module.exports.cryptSetup = require('./lib/crypt-setup.js');
+module.exports.stats = require('./lib/stats.js');
+module.exports.connection = require('./lib/connection.js');
+module.exports.transport = require('./lib/transport.js');
+module.exports.state = require('./lib/state.js');
+module.exports.serverSession = require('./lib/server-session.js');
+module.exports.errors = require('./lib/errors.js');
+module.exports.clientSession = require('./lib/client-session.js');
+module.exports.jitterBuffer = require('./lib/jitter-buffer.js');
+module.exports.voiceDemuxer = require('./lib/voice-demuxer.js');
+module.exports.voiceFramer = require('./lib/voice-framer.js');
+module.exports.voiceTargets = require('./lib/voice-targets.js');
+module.exports.pinger = require('./lib/pinger.js');
+module.exports.permissions = require('./lib/permissions.js');
+module.exports.aclEvaluator = require('./lib/acl-evaluator.js');
+module.exports.requests = require('./lib/requests.js');
+module.exports.denyTracker = require('./lib/deny-tracker.js');
+module.exports.blobCache = require('./lib/blob-cache.js');
+module.exports.textMessage = require('./lib/text-message.js');
@@ -0,0 +1,317 @@
+var PERMISSIONS = require('./permissions.js').PERMISSIONS;
+
+// Granted to everyone unless denied by an ACL
+var DEFAULT_PERMISSIONS = PERMISSIONS.Traverse | PERMISSIONS.Enter
+  | PERMISSIONS.Speak | PERMISSIONS.Whisper | PERMISSIONS.TextMessage
+  | PERMISSIONS.Listen;
+// Implied by Write
+var WRITE_PERMISSIONS = PERMISSIONS.Traverse | PERMISSIONS.Enter
+  | PERMISSIONS.MuteDeafen | PERMISSIONS.Move | PERMISSIONS.MakeChannel
+  | PERMISSIONS.LinkChannel | PERMISSIONS.TextMessage
+  | PERMISSIONS.MakeTempChannel | PERMISSIONS.Listen;
+// Implied by Write on the root channel
+var ROOT_WRITE_PERMISSIONS = PERMISSIONS.Kick | PERMISSIONS.Ban
+  | PERMISSIONS.Register | PERMISSIONS.SelfRegister
+  | PERMISSIONS.ResetUserContent;
+
+/**
+ * A user whose permissions are evaluated. {@link User Users of a State} may
+ * be passed directly.
+ *
+ * @typedef {object} AclUser
+ * @property {number} [user_id] - Id of the registered user, 0 is the
+ *   SuperUser, absent for unregistered users
+ * @property {number} channel_id - Id of the channel the user is in
+ * @property {string} [hash] - Hash of the certificate of the user
+ * @property {string[]} [tokens] - Access tokens of the user
+ * @property {boolean} [strong] - Whether the certificate of the user has been
+ *   verified
+ */
+
+/**
+ * Computes effective permissions from the payloads of ACL messages as done by
+ * the Mumble server.
+ * ACLs are added with {@link AclEvaluator#handleMessage} or
+ * {@link AclEvaluator#setAcl}. If the ACLs of all channels from the root to
+ * a channel are known, they are evaluated channel by channel. Otherwise, if
+ * the ACL of the channel itself is known, only it is used including its
+ * inherited entries, else channels without known ACL are assumed to have no
+ * entries.
+ * The channel tree is taken from the {@link State}.
+ *
+ * @constructor
+ * @constructs AclEvaluator
+ * @param {State} [state] - The channels of the server
+ */
+function AclEvaluator(state) {
+  // Allow use without new
+  if (!(this instanceof AclEvaluator)) return new AclEvaluator(state);
+
+  this._state = state || null;
+  this._acls = {};
+}
+
+/**
+ * Applies a message decoded by a data.Decoder.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message changes the known ACLs.
+ */
+AclEvaluator.prototype.handleMessage = function(message) {
+  switch (message.name) {
+    case 'ACL':
+      if (message.payload.query) {
+        return false;
+      }
+      this.setAcl(message.payload);
+      return true;
+    case 'ChannelRemove':
+      delete this._acls[message.payload.channel_id];
+      return true;
+  }
+  return false;
+};
+
+/**
+ * Sets the ACL of a channel.
+ *
+ * @param {object} payload - Payload of the ACL message
+ */
+AclEvaluator.prototype.setAcl = function(payload) {
+  this._acls[payload.channel_id] = payload;
+};
+
+/**
+ * @param {number} channelId - Id of the channel
+ * @return {?object} Payload of the ACL message of the channel or null if
+ *   unknown.
+ */
+AclEvaluator.prototype.getAcl = function(channelId) {
+  return this._acls[channelId] || null;
+};
+
+/**
+ * Computes the permissions of a user in a channel.
+ *
+ * @param {AclUser} user - The user
+ * @param {number} channelId - Id of the channel
+ * @return {number} The permission bitmask.
+ */
+AclEvaluator.prototype.getEffectivePermissions = function(user, channelId) {
+  if (user.user_id === 0) {
+    // The SuperUser may do anything but talk
+    return (PERMISSIONS.All & ~(PERMISSIONS.Speak | PERMISSIONS.Whisper)) >>> 0;
+  }
+
+  var granted = DEFAULT_PERMISSIONS;
+  var traverse = true;
+  var write = false;
+  var levels = this._levels(channelId);
+  for (var i = 0; i < levels.length; i++) {
+    var level = levels[i];
+    if (!level.inherit) {
+      granted = DEFAULT_PERMISSIONS;
+    }
+    var here = level.channel === channelId;
+    level.acls.forEach(function(acl) {
+      var matches = isSet(acl.user_id) && acl.user_id === user.user_id
+        || !!acl.group && this._inGroup(acl.group, user, channelId,
+                                        level.channel);
+      if (!matches) {
+        return;
+      }
+      var grant = acl.grant || 0;
+      var deny = acl.deny || 0;
+      if (grant & PERMISSIONS.Traverse) traverse = true;
+      if (deny & PERMISSIONS.Traverse) traverse = false;
+      if (grant & PERMISSIONS.Write) write = true;
+      if (deny & PERMISSIONS.Write) write = false;
+      // Traverse and Write are checked regardless of where the entry applies
+      if (here ? acl.apply_here !== false : acl.apply_subs !== false) {
+        granted = (granted | grant) & ~deny;
+      }
+    }, this);
+    if (!traverse && !write) {
+      return PERMISSIONS.None;
+    }
+  }
+
+  if (granted & PERMISSIONS.Write) {
+    granted |= WRITE_PERMISSIONS;
+    if (channelId === 0) {
+      granted |= ROOT_WRITE_PERMISSIONS;
+    }
+  }
+  return granted >>> 0;
+};
+
+/**
+ * Returns the ACL entries of each channel from the root to the channel.
+ *
+ * @param {number} channelId - Id of the channel
+ * @return {object[]} The channel, whether ACLs are inherited and the entries
+ *   of each level.
+ */
+AclEvaluator.prototype._levels = function(channelId) {
+  var chain = this._chain(channelId);
+  var acl = this._acls[channelId];
+  var complete = chain.every(function(id) {
+    return this._acls[id];
+  }, this);
+  if (complete || !acl) {
+    // Channels without known ACL are assumed to have no entries
+    return chain.map(function(id) {
+      var acl = this._acls[id] || {};
+      return {
+        channel: id,
+        inherit: acl.inherit_acls !== false,
+        acls: (acl.acls || []).filter(function(entry) {
+          return entry.inherited !== true;
+        })
+      };
+    }, this);
+  }
+
+  var acls = acl.acls || [];
+  return [{
+    channel: chain.length > 1 ? chain[chain.length - 2] : null,
+    inherit: true,
+    acls: acls.filter(function(entry) {
+      return entry.inherited === true;
+    })
+  }, {
+    channel: channelId,
+    inherit: acl.inherit_acls !== false,
+    acls: acls.filter(function(entry) {
+      return entry.inherited !== true;
+    })
+  }];
+};
+
+/**
+ * @param {number} channelId - Id of the channel
+ * @return {number[]} Ids of the channels from the root to the channel.
+ */
+AclEvaluator.prototype._chain = function(channelId) {
+  var chain = [];
+  var id = channelId;
+  while (isSet(id) && chain.indexOf(id) < 0) {
+    chain.unshift(id);
+    var channel = this._state && this._state.getChannel(id);
+    id = channel && id !== 0 ? channel.parent : null;
+  }
+  return chain;
+};
+
+/**
+ * Checks whether a user is member of a group as the Mumble server does.
+ *
+ * @param {string} name - Name of the group, including modifiers
+ * @param {AclUser} user - The user
+ * @param {number} current - Id of the channel whose permissions are evaluated
+ * @param {?number} aclChannel - Id of the channel the ACL entry belongs to
+ * @return {boolean} Whether the user is in the group.
+ */
+AclEvaluator.prototype._inGroup = function(name, user, current, aclChannel) {
+  var invert = false;
+  var token = false;
+  var hash = false;
+  var context = current;
+  while (name.length) {
+    var modifier = name[0];
+    if (modifier == '!') {
+      invert = true;
+    } else if (modifier == '~') {
+      context = aclChannel;
+    } else if (modifier == '#') {
+      token = true;
+    } else if (modifier == '$') {
+      hash = true;
+    } else {
+      break;
+    }
+    name = name.slice(1);
+  }
+
+  var member;
+  var registered = isSet(user.user_id) && user.user_id >= 0;
+  if (token) {
+    member = (user.tokens || []).some(function(token) {
+      return token.toLowerCase() == name.toLowerCase();
+    });
+  } else if (hash) {
+    member = !!user.hash && user.hash.toLowerCase() == name.toLowerCase();
+  } else if (name == 'none') {
+    member = false;
+  } else if (name == 'all') {
+    member = true;
+  } else if (name == 'auth') {
+    member = registered;
+  } else if (name == 'strong') {
+    member = !!user.strong;
+  } else if (name == 'in') {
+    member = user.channel_id === context;
+  } else if (name == 'out') {
+    member = user.channel_id !== context;
+  } else if (name.split(',')[0] == 'sub') {
+    member = this._inSub(name.split(','), user, context);
+  } else {
+    member = registered && this._members(context, name).indexOf(user.user_id) >= 0;
+  }
+  return invert ? !member : member;
+};
+
+/**
+ * Checks whether the user is in a sub channel of the context.
+ *
+ * @param {string[]} args - 'sub' followed by minpath, mindesc and maxdesc
+ * @param {AclUser} user - The user
+ * @param {?number} context - Id of the channel the group is evaluated in
+ * @return {boolean} Whether the user is in the group.
+ */
+AclEvaluator.prototype._inSub = function(args, user, context) {
+  var minpath = args.length > 1 ? parseInt(args[1], 10) || 0 : 0;
+  var mindesc = args.length > 2 ? parseInt(args[2], 10) || 0 : 1;
+  var maxdesc = args.length > 3 ? parseInt(args[3], 10) || 0 : 1000;
+  var userChain = this._chain(user.channel_id);
+  var groupChain = this._chain(context);
+  if (!groupChain.length) {
+    return false;
+  }
+  // Only negative offsets are clamped, as done by the Mumble server
+  var offset = Math.max(0, groupChain.length - 1 + minpath);
+  if (offset >= groupChain.length) {
+    return false;
+  }
+  if (userChain.indexOf(groupChain[offset]) < 0) {
+    return false;
+  }
+  var depth = userChain.length - 1;
+  return depth >= offset + mindesc && depth <= offset + maxdesc;
+};
+
+/**
+ * @param {?number} channelId - Id of the channel the group is looked up in
+ * @param {string} name - Name of the group
+ * @return {number[]} User ids of the members of the group.
+ */
+AclEvaluator.prototype._members = function(channelId, name) {
+  var acl = isSet(channelId) ? this._acls[channelId] : null;
+  var group = acl && (acl.groups || []).filter(function(group) {
+    return group.name == name;
+  })[0];
+  if (!group) {
+    return [];
+  }
+  var remove = group.remove || [];
+  var members = group.inherit !== false ? group.inherited_members || [] : [];
+  return members.concat(group.add || []).filter(function(id) {
+    return remove.indexOf(id) < 0;
+  });
+};
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+module.exports = AclEvaluator;
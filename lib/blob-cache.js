@@ -0,0 +1,344 @@
+var util = require('util'),
+    crypto = require('crypto'),
+    EventEmitter = require('events').EventEmitter;
+
+/**
+ * Storage of a {@link BlobCache}, keyed by the hex encoded SHA1 hash of the
+ * data.
+ *
+ * @typedef {object} BlobStorage
+ * @property {function} get - Called as get(hash, callback), the callback is
+ *   called as callback(err, data) with null data if the blob is unknown
+ * @property {function} set - Called as set(hash, data, callback), the
+ *   callback is called as callback(err)
+ */
+
+/**
+ * {@link BlobStorage} keeping blobs in memory.
+ *
+ * @constructor
+ * @constructs MemoryStorage
+ */
+function MemoryStorage() {
+  // Allow use without new
+  if (!(this instanceof MemoryStorage)) return new MemoryStorage();
+
+  this._blobs = {};
+}
+
+MemoryStorage.prototype.get = function(hash, callback) {
+  var data = this._blobs.hasOwnProperty(hash) ? this._blobs[hash] : null;
+  process.nextTick(callback, null, data);
+};
+
+MemoryStorage.prototype.set = function(hash, data, callback) {
+  this._blobs[hash] = data;
+  process.nextTick(callback, null);
+};
+
+/**
+ * {@link BlobStorage} keeping blobs as files named after their hash.
+ * Files whose content does not match their name are ignored.
+ *
+ * @constructor
+ * @constructs DiskStorage
+ * @param {string} directory - Where the files are stored, created if missing
+ */
+function DiskStorage(directory) {
+  // Allow use without new
+  if (!(this instanceof DiskStorage)) return new DiskStorage(directory);
+
+  // Only required here to allow usage of this module in the browser
+  this._fs = require('fs');
+  this._path = require('path');
+  this._directory = directory;
+}
+
+DiskStorage.prototype.get = function(hash, callback) {
+  this._fs.readFile(this._file(hash), function(err, data) {
+    if (err) {
+      return callback(err.code == 'ENOENT' ? null : err, null);
+    }
+    callback(null, sha1(data) == hash ? data : null);
+  });
+};
+
+DiskStorage.prototype.set = function(hash, data, callback) {
+  var fs = this._fs;
+  var file = this._file(hash);
+  fs.mkdir(this._directory, { recursive: true }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    fs.writeFile(file, data, callback);
+  });
+};
+
+DiskStorage.prototype._file = function(hash) {
+  if (!/^[0-9a-f]{40}$/.test(hash)) {
+    throw new TypeError('Invalid hash: ' + hash);
+  }
+  return this._path.join(this._directory, hash);
+};
+
+/**
+ * Caches comments, textures and channel descriptions.
+ * Large blobs are only announced by their hash in UserState and ChannelState
+ * messages and have to be requested with RequestBlob messages. The cache
+ * records the hashes from the messages passed to
+ * {@link BlobCache#handleMessage}, requests missing blobs (batched into a
+ * single RequestBlob message) and stores received blobs in its
+ * {@link BlobStorage} after verifying their hash.
+ *
+ * Emits 'mismatch' with the expected hash and the received data if a blob
+ * did not match the announced hash, and 'error' if the storage failed (only
+ * if there are listeners). Blobs which could not be read from the storage are
+ * requested from the server.
+ *
+ * @constructor
+ * @constructs BlobCache
+ * @param {Connection|Encoder} encoder - Where RequestBlob messages are written
+ *   to
+ * @param {object} [options]
+ * @param {BlobStorage} [options.storage] - Where blobs are stored, in memory
+ *   by default
+ * @param {number} [options.timeout=10000] - Time in milliseconds to wait for
+ *   a requested blob
+ * @param {number} [options.delay=50] - Time in milliseconds to collect
+ *   missing blobs before requesting them
+ */
+function BlobCache(encoder, options) {
+  // Allow use without new
+  if (!(this instanceof BlobCache)) return new BlobCache(encoder, options);
+
+  EventEmitter.call(this);
+
+  options = options || {};
+  this._encoder = encoder;
+  this._storage = options.storage || new MemoryStorage();
+  this._timeout = options.timeout !== undefined ? options.timeout : 10000;
+  this._delay = options.delay !== undefined ? options.delay : 50;
+  this._users = {};
+  this._channels = {};
+  this._waiting = {}; // Callbacks by hash
+  this._requests = null; // RequestBlob payload to be sent
+}
+util.inherits(BlobCache, EventEmitter);
+
+/**
+ * Records hashes and blobs of a message decoded by a data.Decoder.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message was relevant to the cache.
+ */
+BlobCache.prototype.handleMessage = function(message) {
+  var payload = message.payload;
+  switch (message.name) {
+    case 'UserState':
+      var user = this._users[payload.session] = this._users[payload.session]
+        || { comment: newEntry(), texture: newEntry() };
+      this._update(user.comment, payload.comment_hash, payload.comment);
+      this._update(user.texture, payload.texture_hash, payload.texture);
+      return true;
+    case 'ChannelState':
+      var channel = this._channels[payload.channel_id]
+        = this._channels[payload.channel_id] || { description: newEntry() };
+      this._update(channel.description, payload.description_hash,
+                   payload.description);
+      return true;
+    case 'UserRemove':
+      delete this._users[payload.session];
+      return true;
+    case 'ChannelRemove':
+      delete this._channels[payload.channel_id];
+      return true;
+  }
+  return false;
+};
+
+/**
+ * @param {number} session - Session ID of the user
+ * @return {Promise<?string>} Resolves with the comment of the user or null if
+ *   they have none.
+ */
+BlobCache.prototype.getComment = function(session) {
+  var user = this._users[session];
+  return this._get(user && user.comment, 'session_comment', session)
+    .then(toString);
+};
+
+/**
+ * @param {number} session - Session ID of the user
+ * @return {Promise<?Buffer>} Resolves with the texture (avatar) of the user
+ *   or null if they have none.
+ */
+BlobCache.prototype.getTexture = function(session) {
+  var user = this._users[session];
+  return this._get(user && user.texture, 'session_texture', session);
+};
+
+/**
+ * @param {number} channelId - Id of the channel
+ * @return {Promise<?string>} Resolves with the description of the channel or
+ *   null if it has none.
+ */
+BlobCache.prototype.getDescription = function(channelId) {
+  var channel = this._channels[channelId];
+  return this._get(channel && channel.description, 'channel_description',
+                   channelId).then(toString);
+};
+
+/**
+ * Applies a hash and/or value of a message to an entry.
+ *
+ * @param {object} entry - The hash and value known so far
+ * @param {?ByteBuffer} hash - The announced hash
+ * @param {?(string|ByteBuffer)} value - The value itself
+ */
+BlobCache.prototype._update = function(entry, hash, value) {
+  if (isSet(hash)) {
+    entry.hash = toBuffer(hash).toString('hex');
+    entry.value = null;
+  }
+  if (!isSet(value)) {
+    return;
+  }
+  var data = typeof value === 'string' ? Buffer.from(value, 'utf8')
+    : toBuffer(value);
+  if (!data.length) {
+    // Removed
+    entry.hash = null;
+    entry.value = null;
+    return;
+  }
+  var actual = sha1(data);
+  var expected = entry.hash;
+  if (!isSet(hash) && expected && expected != actual
+      && this._waiting[expected]) {
+    // Not what has been requested, either a new value or a corrupted blob
+    this.emit('mismatch', expected, data);
+    this._resolve(expected, new Error('Blob does not match hash ' + expected));
+  }
+  entry.hash = actual;
+  entry.value = data;
+  this._storage.set(actual, data, function(err) {
+    if (err) {
+      this._storageError(err);
+    }
+  }.bind(this));
+  this._resolve(actual, null, data);
+};
+
+BlobCache.prototype._get = function(entry, list, id) {
+  if (!entry || (!entry.hash && !entry.value)) {
+    return Promise.resolve(null);
+  }
+  if (entry.value) {
+    return Promise.resolve(entry.value);
+  }
+  var hash = entry.hash;
+  return new Promise(function(resolve, reject) {
+    this._storage.get(hash, function(err, data) {
+      if (err) {
+        this._storageError(err); // Treated as a cache miss
+      }
+      if (!err && data) {
+        return resolve(data);
+      }
+      this._wait(hash, function(err, data) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(data);
+      });
+      this._request(list, id);
+    }.bind(this));
+  }.bind(this));
+};
+
+BlobCache.prototype._storageError = function(err) {
+  // The cache still works without its storage, so this must not throw
+  if (this.listenerCount('error')) {
+    this.emit('error', err);
+  }
+};
+
+BlobCache.prototype._wait = function(hash, callback) {
+  var waiting = this._waiting[hash] = this._waiting[hash] || [];
+  var timer = setTimeout(function() {
+    var index = waiting.indexOf(done);
+    if (index >= 0) {
+      waiting.splice(index, 1);
+    }
+    var err = new Error('Blob request timed out: ' + hash);
+    err.code = 'REQUEST_TIMEOUT';
+    callback(err);
+  }, this._timeout);
+  var done = function(err, data) {
+    clearTimeout(timer);
+    callback(err, data);
+  };
+  waiting.push(done);
+};
+
+BlobCache.prototype._resolve = function(hash, err, data) {
+  var waiting = this._waiting[hash] || [];
+  delete this._waiting[hash];
+  waiting.forEach(function(callback) {
+    callback(err, data);
+  });
+};
+
+/**
+ * Adds an id to the next RequestBlob message, which is sent once the delay
+ * passed.
+ */
+BlobCache.prototype._request = function(list, id) {
+  if (!this._requests) {
+    this._requests = {
+      session_texture: [],
+      session_comment: [],
+      channel_description: []
+    };
+    setTimeout(function() {
+      var payload = this._requests;
+      this._requests = null;
+      this._encoder.write({ name: 'RequestBlob', payload: payload });
+    }.bind(this), this._delay);
+  }
+  if (this._requests[list].indexOf(id) < 0) {
+    this._requests[list].push(id);
+  }
+};
+
+function newEntry() {
+  return { hash: null, value: null };
+}
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function toBuffer(value) {
+  if (typeof value.toBuffer === 'function') {
+    // bytes fields are decoded as ByteBuffer
+    value = value.toBuffer();
+    // toBuffer returns an ArrayBuffer when called in the browser
+    if (!Buffer.isBuffer(value)) {
+      value = Buffer.from(value);
+    }
+  }
+  return value;
+}
+
+function toString(data) {
+  return data && data.toString('utf8');
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+module.exports = BlobCache;
+module.exports.MemoryStorage = MemoryStorage;
+module.exports.DiskStorage = DiskStorage;
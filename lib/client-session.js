@@ -0,0 +1,201 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    UdpCrypt = require('./udp-crypto.js'),
+    CryptSetup = require('./crypt-setup.js'),
+    RejectError = require('./errors.js').RejectError,
+    version = require('./version.js');
+
+/**
+ * Drives the client side of the handshake with a server.
+ * {@link ClientSession#connect} sends the Version and Authenticate messages
+ * and resolves once the server finished synchronizing its state. If the
+ * server rejects the client, it is rejected with a {@link RejectError}.
+ *
+ * The Ping messages are sent by the connection (with the statistics of the
+ * connection), the session closes the connection if the server did not answer
+ * any of them within the ping timeout.
+ *
+ * The session goes through the states 'connecting', 'authenticating',
+ * 'synced' and 'closed' and emits 'state' with the new state whenever it
+ * changes. Emits 'rejected' with the {@link RejectError} and 'timeout' if the
+ * server stopped answering pings.
+ *
+ * @constructor
+ * @constructs ClientSession
+ * @param {Connection} connection - The connection to the server
+ * @param {object} options
+ * @param {string} options.username - Name of the user
+ * @param {string} [options.password] - Server or user password
+ * @param {string[]} [options.tokens] - Access tokens
+ * @param {object} [options.version] - Payload of the Version message
+ * @param {UdpCrypt} [options.block] - Block cipher for the UDP connection
+ * @param {number} [options.pingTimeout=30000] - Time in milliseconds without
+ *   any Ping message from the server before the connection is closed
+ */
+function ClientSession(connection, options) {
+  // Allow use without new
+  if (!(this instanceof ClientSession)) {
+    return new ClientSession(connection, options);
+  }
+
+  if (connection.getRemote() != 'server') {
+    throw new TypeError('ClientSession requires a connection to a server');
+  }
+  if (typeof options.username !== 'string') {
+    throw new TypeError('options.username is not a string');
+  }
+
+  EventEmitter.call(this);
+
+  this._connection = connection;
+  this._options = options;
+  this._state = 'connecting';
+  this._pingTimeout = options.pingTimeout !== undefined
+    ? options.pingTimeout : 30000;
+  this._pingTimer = null;
+  this._promise = null;
+  this._resolve = null;
+  this._reject = null;
+
+  var block = options.block || new UdpCrypt(connection.getStats());
+  this._cryptSetup = new CryptSetup('server', block, connection);
+
+  this._onMessage = this._onMessage.bind(this);
+  this._onError = this._fail.bind(this);
+  this._onClose = this._onClose.bind(this);
+  connection.on('message', this._onMessage);
+  connection.on('error', this._onError);
+  connection.on('close', this._onClose);
+}
+util.inherits(ClientSession, EventEmitter);
+
+/**
+ * @return {string} The current state of the session.
+ */
+ClientSession.prototype.getState = function() {
+  return this._state;
+};
+
+/**
+ * @return {CryptSetup} Handles the crypt setup of the UDP connection.
+ */
+ClientSession.prototype.getCryptSetup = function() {
+  return this._cryptSetup;
+};
+
+/**
+ * Performs the handshake.
+ *
+ * @return {Promise<object>} Resolves with the payload of the ServerSync
+ *   message or rejects with a {@link RejectError} if the server rejected the
+ *   client or an Error if the connection failed.
+ */
+ClientSession.prototype.connect = function() {
+  if (this._promise) {
+    return this._promise;
+  }
+  this._promise = new Promise(function(resolve, reject) {
+    this._resolve = resolve;
+    this._reject = reject;
+  }.bind(this));
+  if (this._state == 'closed') {
+    this._fail(new Error('Connection closed'));
+    return this._promise;
+  }
+
+  var options = this._options;
+  this._connection.send('Version', options.version || {
+    version: version.toUInt8(),
+    version_v2: version.toUInt64(),
+    release: 'mumble-streams',
+    os: 'node.js',
+    os_version: ''
+  });
+  this._connection.send('Authenticate', {
+    username: options.username,
+    password: options.password,
+    tokens: options.tokens || [],
+    opus: true
+  });
+  this._setState('authenticating');
+  this._resetPingTimer();
+  return this._promise;
+};
+
+/**
+ * Closes the connection.
+ */
+ClientSession.prototype.close = function() {
+  this._connection.close();
+  this._onClose();
+};
+
+ClientSession.prototype._onMessage = function(message) {
+  switch (message.name) {
+    case 'Ping':
+      this._resetPingTimer();
+      break;
+    case 'CryptSetup':
+      this._cryptSetup.handleMessage(message);
+      break;
+    case 'Reject':
+      var err = RejectError.fromMessage(message.payload);
+      this.emit('rejected', err);
+      this._fail(err);
+      this._connection.close();
+      break;
+    case 'ServerSync':
+      if (this._state == 'authenticating') {
+        this._setState('synced');
+        this._resolve(message.payload);
+      }
+      break;
+  }
+};
+
+ClientSession.prototype._resetPingTimer = function() {
+  clearTimeout(this._pingTimer);
+  if (this._state == 'closed' || !this._pingTimeout) {
+    return;
+  }
+  this._pingTimer = setTimeout(function() {
+    var err = new Error('Ping timeout');
+    err.code = 'PING_TIMEOUT';
+    this.emit('timeout');
+    this._fail(err);
+    this._connection.close();
+  }.bind(this), this._pingTimeout);
+};
+
+ClientSession.prototype._onClose = function() {
+  this._fail(new Error('Connection closed'));
+};
+
+/**
+ * Rejects the pending handshake (if any) and closes the session.
+ *
+ * @param {Error} err - The reason
+ */
+ClientSession.prototype._fail = function(err) {
+  if (this._reject && this._state != 'synced') {
+    this._reject(err);
+  }
+  this._reject = null;
+  this._setState('closed');
+};
+
+ClientSession.prototype._setState = function(state) {
+  if (this._state == state) {
+    return;
+  }
+  this._state = state;
+  if (state == 'closed') {
+    clearTimeout(this._pingTimer);
+    this._connection.removeListener('message', this._onMessage);
+    this._connection.removeListener('error', this._onError);
+    this._connection.removeListener('close', this._onClose);
+  }
+  this.emit('state', state);
+};
+
+module.exports = ClientSession;
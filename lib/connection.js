@@ -0,0 +1,285 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    data = require('./data.js'),
+    voice = require('./voice.js'),
+    Stats = require('./stats.js'),
+    Pinger = require('./pinger.js');
+
+/**
+ * A connection to a Mumble server or client over any duplex stream (usually a
+ * TLS socket).
+ * Messages are sent with {@link Connection#send}, voice data with
+ * {@link Connection#sendVoice} which is tunneled through UDPTunnel messages.
+ *
+ * Every received message is emitted as 'message' event with the whole
+ * {@link Message} and as event named after the message (e.g. 'ServerSync')
+ * with only the payload. Voice received via UDPTunnel is additionally decoded
+ * and emitted as 'voice' event ({@link VoiceData}) or 'voicePing' event
+ * ({@link PingData}).
+ * Messages which are unknown or could not be decoded (see the policies of the
+ * data.Decoder) are only emitted as 'rawMessage' event.
+ * Invalid messages are rejected by {@link Connection#send} with an exception.
+ * Should a message become invalid until it is encoded (e.g. because of a
+ * lower length limit of the server), it is dropped and emitted as 'invalid'
+ * event with the error and the message.
+ *
+ * If the remote is a server, Ping messages are sent periodically by a
+ * {@link Pinger} which measures their round trip time. If it is a client,
+ * Ping messages are answered.
+ * Once both sides exchanged Version messages, the voice format is selected
+ * according to their version_v2.
+ *
+ * @constructor
+ * @constructs Connection
+ * @param {Duplex} socket - The underlying socket
+ * @param {('server'|'client')} remote - What the other end of the socket is
+ * @param {object} [options]
+ * @param {number} [options.pingInterval=5000] - Time in milliseconds between
+ *   two Ping messages sent to the server, 0 to disable
+ * @param {Stats} [options.stats] - Statistics reported in Ping messages
+ * @param {object} [options.encoder] - Options for the data.Encoder
+ * @param {object} [options.decoder] - Options for the data.Decoder
+ */
+function Connection(socket, remote, options) {
+  // Allow use without new
+  if (!(this instanceof Connection)) {
+    return new Connection(socket, remote, options);
+  }
+
+  if (remote != 'server' && remote != 'client') {
+    throw new TypeError('remote has to be either "server" or "client"');
+  }
+
+  EventEmitter.call(this);
+
+  options = options || {};
+  this._socket = socket;
+  this._remote = remote;
+  this._stats = options.stats || new Stats();
+  this._localVersion = null;
+  this._remoteVersion = null;
+  this._closed = false;
+  this._closeEmitted = false;
+
+  this._encoder = new data.Encoder(options.encoder);
+  this._decoder = new data.Decoder(options.decoder);
+  this._voiceEncoder = new voice.Encoder(remote);
+  this._voiceDecoder = new voice.Decoder(remote);
+
+  this._encoder.pipe(socket).pipe(this._decoder);
+  this._decoder.on('data', this._onMessage.bind(this));
+  this._voiceEncoder.on('data', function(buffer) {
+    this.send('UDPTunnel', buffer);
+  }.bind(this));
+  this._voiceDecoder.on('data', function(packet) {
+    this.emit(packet.timestamp !== undefined ? 'voicePing' : 'voice', packet);
+  }.bind(this));
+
+  var onError = this._onError.bind(this);
+  socket.on('error', onError);
+  this._encoder.on('error', onError);
+  this._decoder.on('error', onError);
+  this._voiceEncoder.on('error', onError);
+  this._voiceDecoder.on('error', onError);
+  this._decoder.on('protocolError', this.emit.bind(this, 'protocolError'));
+  this._encoder.on('invalid', this.emit.bind(this, 'invalid'));
+
+  socket.on('end', this.emit.bind(this, 'end'));
+  socket.on('close', this._onClose.bind(this));
+
+  var pingInterval = options.pingInterval !== undefined
+    ? options.pingInterval : 5000;
+  this._pinger = new Pinger('tcp', function(timestamp) {
+    this.send('Ping', this._stats.toPing(timestamp));
+  }.bind(this), {
+    stats: this._stats,
+    interval: pingInterval,
+    timeout: 3 * pingInterval
+  });
+  if (remote == 'server' && pingInterval > 0) {
+    this._pinger.start();
+  }
+}
+util.inherits(Connection, EventEmitter);
+
+/**
+ * Connects to a Mumble server via TLS.
+ * The returned connection emits 'connect' once the TLS handshake completed.
+ *
+ * @param {object} tlsOptions - Options passed to tls.connect
+ * @param {object} [options] - Options passed to the Connection
+ * @return {Connection} The new connection.
+ */
+Connection.connect = function(tlsOptions, options) {
+  // Only required here to allow usage of this module in the browser
+  var tls = require('tls');
+  var socket = tls.connect(tlsOptions);
+  var connection = new Connection(socket, 'server', options);
+  socket.on('secureConnect', connection.emit.bind(connection, 'connect'));
+  return connection;
+};
+
+/**
+ * @return {Stats} The statistics of this connection.
+ */
+Connection.prototype.getStats = function() {
+  return this._stats;
+};
+
+/**
+ * @return {Pinger} Measures the round trip time of Ping messages.
+ */
+Connection.prototype.getPinger = function() {
+  return this._pinger;
+};
+
+/**
+ * @return {Duplex} The underlying socket.
+ */
+Connection.prototype.getSocket = function() {
+  return this._socket;
+};
+
+/**
+ * @return {('server'|'client')} What the other end of the socket is.
+ */
+Connection.prototype.getRemote = function() {
+  return this._remote;
+};
+
+/**
+ * Sends a message.
+ *
+ * @param {string} name - Name of the message
+ * @param {object} [payload] - Payload of the message
+ * @throws {TypeError|RangeError} If the message is invalid, see
+ *   {@link Encoder#check}.
+ */
+Connection.prototype.send = function(name, payload) {
+  this.write({
+    name: name,
+    payload: payload
+  });
+};
+
+/**
+ * Sends a message. Allows the connection to be used wherever a data.Encoder
+ * would be used.
+ *
+ * @param {Message} message - The message
+ * @throws {TypeError|RangeError} If the message is invalid, see
+ *   {@link Encoder#check}.
+ */
+Connection.prototype.write = function(message) {
+  if (this._closed) {
+    return;
+  }
+  this._encoder.check(message);
+  if (message.name == 'Version') {
+    this._localVersion = message.payload ? message.payload.version_v2 : null;
+    this._negotiateVoiceFormat();
+  }
+  this._encoder.write(message);
+};
+
+/**
+ * Sends voice data or an audio channel ping tunneled through TCP.
+ *
+ * @param {VoiceData|PingData} packet - The voice packet
+ */
+Connection.prototype.sendVoice = function(packet) {
+  if (this._closed) {
+    return;
+  }
+  this._voiceEncoder.write(packet);
+};
+
+/**
+ * Changes the wire format of voice packets.
+ * Usually this is negotiated automatically.
+ *
+ * @param {Format} format - The new format
+ */
+Connection.prototype.setVoiceFormat = function(format) {
+  this._voiceEncoder.setFormat(format);
+  this._voiceDecoder.setFormat(format);
+};
+
+/**
+ * @return {Format} The wire format of voice packets.
+ */
+Connection.prototype.getVoiceFormat = function() {
+  return this._voiceEncoder.getFormat();
+};
+
+/**
+ * Closes the connection after all pending messages have been sent.
+ */
+Connection.prototype.close = function() {
+  if (this._closed) {
+    return;
+  }
+  this._closed = true;
+  this._pinger.stop();
+  this._encoder.end();
+};
+
+Connection.prototype._onMessage = function(message) {
+  if (message.raw) {
+    this.emit('rawMessage', message);
+    return;
+  }
+  var payload = message.payload;
+  switch (message.name) {
+    case 'UDPTunnel':
+      this._stats.tcpPackets++;
+      this._voiceDecoder.write(payload);
+      break;
+    case 'Version':
+      this._remoteVersion = payload.version_v2;
+      this._negotiateVoiceFormat();
+      break;
+    case 'Ping':
+      if (this._remote == 'client') {
+        this.send('Ping', this._stats.toPing(payload.timestamp));
+      } else {
+        this._pinger.handlePong(payload.timestamp);
+      }
+      break;
+    case 'ServerConfig':
+      if (this._remote == 'server') {
+        this._encoder.setServerConfig(payload);
+      }
+      break;
+  }
+
+  this.emit('message', message);
+  this.emit(message.name, payload);
+};
+
+Connection.prototype._negotiateVoiceFormat = function() {
+  if (voice.formatForVersion(this._localVersion) == 'protobuf'
+      && voice.formatForVersion(this._remoteVersion) == 'protobuf') {
+    this.setVoiceFormat('protobuf');
+  } else {
+    this.setVoiceFormat('legacy');
+  }
+};
+
+Connection.prototype._onError = function(err) {
+  this.emit('error', err);
+  // The failed stream is unusable, so is the whole connection
+  this._socket.destroy();
+};
+
+Connection.prototype._onClose = function() {
+  if (this._closeEmitted) {
+    return;
+  }
+  this._closeEmitted = true;
+  this._closed = true;
+  this._pinger.stop();
+  this.emit('close');
+};
+
+module.exports = Connection;
@@ -0,0 +1,209 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    UdpCrypt = require('./udp-crypto.js');
+
+/**
+ * Applies CryptSetup messages to a {@link UdpCrypt} and requests nonce
+ * resyncs when decryption keeps failing.
+ *
+ * Messages decoded by a data.Decoder have to be passed to
+ * {@link CryptSetup#handleMessage}, the outcome of every decryption attempt
+ * to {@link CryptSetup#handleDecrypt} (or use {@link CryptSetup#watch}).
+ * Like the official client, a resync is requested once decryption failed and
+ * no packet could be decrypted for some time.
+ *
+ * Emits 'setup' when a new key has been set up, 'resync' when the nonce
+ * has been resynchronized and 'request' when a resync has been requested.
+ *
+ * @constructor
+ * @constructs CryptSetup
+ * @param {('server'|'client')} remote - Where the CryptSetup messages are
+ *   coming from.
+ * @param {UdpCrypt} block - The block cipher to be set up
+ * @param {Encoder} encoder - data.Encoder used to send CryptSetup messages
+ * @param {object} [options]
+ * @param {number} [options.threshold=1] - Number of consecutive decryption
+ *   failures required before a resync is requested
+ * @param {number} [options.timeout=5000] - Time in milliseconds since the last
+ *   successful decryption before a resync is requested
+ * @param {number} [options.interval=5000] - Minimum time in milliseconds
+ *   between two resync requests
+ */
+function CryptSetup(remote, block, encoder, options) {
+  // Allow use without new
+  if (!(this instanceof CryptSetup)) {
+    return new CryptSetup(remote, block, encoder, options);
+  }
+
+  if (remote != 'server' && remote != 'client') {
+    throw new TypeError('remote has to be either "server" or "client"');
+  }
+
+  EventEmitter.call(this);
+
+  options = options || {};
+  this._remote = remote;
+  this._block = block;
+  this._encoder = encoder;
+  this._threshold = options.threshold !== undefined ? options.threshold : 1;
+  this._timeout = options.timeout !== undefined ? options.timeout : 5000;
+  this._interval = options.interval !== undefined ? options.interval : 5000;
+
+  this._failures = 0;
+  this._lastGood = Date.now();
+  this._lastRequest = 0;
+}
+util.inherits(CryptSetup, EventEmitter);
+
+/**
+ * Handles a message decoded by a data.Decoder.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message was a CryptSetup message.
+ */
+CryptSetup.prototype.handleMessage = function(message) {
+  if (message.name != 'CryptSetup') {
+    return false;
+  }
+  var payload = message.payload || {};
+  var key = toBuffer(payload.key);
+  var clientNonce = toBuffer(payload.client_nonce);
+  var serverNonce = toBuffer(payload.server_nonce);
+  var encryptIV = this._block.getEncryptIV();
+
+  if (this._remote == 'server') {
+    if (key && clientNonce && serverNonce) {
+      // Full key setup
+      this._block.setKey(key);
+      this._block.setEncryptIV(clientNonce);
+      this._block.setDecryptIV(serverNonce);
+      this._failures = 0;
+      this._lastGood = Date.now();
+      this.emit('setup');
+    } else if (serverNonce) {
+      this._resync(serverNonce);
+    } else if (encryptIV) {
+      // Server requests our nonce
+      this._send({ client_nonce: encryptIV });
+    }
+  } else {
+    if (clientNonce) {
+      this._resync(clientNonce);
+    } else if (encryptIV) {
+      // Client requests our nonce
+      this._send({ server_nonce: encryptIV });
+    }
+  }
+  return true;
+};
+
+/**
+ * Generates a new key and sends it to the client.
+ * Only available when the remote is a client.
+ *
+ * @param {function} [callback] - Called once the key has been sent
+ */
+CryptSetup.prototype.setup = function(callback) {
+  callback = callback || function(err) {
+    if (err) this.emit('error', err);
+  }.bind(this);
+  if (this._remote != 'client') {
+    return callback(new Error('Only servers may set up the key'));
+  }
+  this._block.generateKey(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    this._send({
+      key: this._block.getKey(),
+      client_nonce: this._block.getDecryptIV(),
+      server_nonce: this._block.getEncryptIV()
+    });
+    this._failures = 0;
+    this._lastGood = Date.now();
+    this.emit('setup');
+    callback();
+  }.bind(this));
+};
+
+/**
+ * Requests the remote to send its current nonce.
+ */
+CryptSetup.prototype.requestResync = function() {
+  this._lastRequest = Date.now();
+  this._send({});
+  this.emit('request');
+};
+
+/**
+ * Records the outcome of a decryption attempt and requests a resync if
+ * decryption has been failing for too long.
+ *
+ * @param {boolean} success - Whether the packet could be decrypted
+ */
+CryptSetup.prototype.handleDecrypt = function(success) {
+  var now = Date.now();
+  if (success) {
+    this._failures = 0;
+    this._lastGood = now;
+    return;
+  }
+  this._failures++;
+  if (this._failures >= this._threshold
+      && now - this._lastGood > this._timeout
+      && now - this._lastRequest > this._interval) {
+    this.requestResync();
+  }
+};
+
+/**
+ * Feeds the outcome of all decryption attempts of the given stream into
+ * {@link CryptSetup#handleDecrypt}. Packets dropped because the key has not
+ * been set up yet are ignored.
+ *
+ * @param {Decrypt|CryptStream} stream - The decrypting stream
+ */
+CryptSetup.prototype.watch = function(stream) {
+  stream.on('data', this.handleDecrypt.bind(this, true));
+  stream.on('reject', function(reason) {
+    if (reason != 'notReady') {
+      this.handleDecrypt(false);
+    }
+  }.bind(this));
+};
+
+CryptSetup.prototype._resync = function(nonce) {
+  this._block.setDecryptIV(nonce);
+  this._block.getStats().resync++;
+  this._failures = 0;
+  this._lastGood = Date.now();
+  this.emit('resync');
+};
+
+CryptSetup.prototype._send = function(payload) {
+  this._encoder.write({
+    name: 'CryptSetup',
+    payload: payload
+  });
+};
+
+/**
+ * Converts decoded bytes fields to Buffers.
+ *
+ * @param {?(Buffer|ByteBuffer)} bytes - The decoded field
+ * @return {?Buffer} The field's content or null if it is absent or not
+ *   exactly one block in size.
+ */
+function toBuffer(bytes) {
+  if (!bytes) {
+    return null;
+  }
+  var buffer = Buffer.isBuffer(bytes) ? bytes : bytes.toBuffer();
+  // toBuffer returns an ArrayBuffer when called in the browser
+  if (!Buffer.isBuffer(buffer)) {
+    buffer = Buffer.from(buffer);
+  }
+  return buffer.length == UdpCrypt.BLOCK_SIZE ? Buffer.from(buffer) : null;
+}
+
+module.exports = CryptSetup;
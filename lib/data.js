@@ -29,7 +29,8 @@ var nameById = {
     22: 'UserStats',
     23: 'RequestBlob',
     24: 'ServerConfig',
-    25: 'SuggestConfig'
+    25: 'SuggestConfig',
+    26: 'PluginDataTransmission'
 };
 var idByName = {};
 for (var id in nameById) {
@@ -58,9 +59,14 @@ function encode(name, payload) {
 
 /**
  * A message object.
+ * Messages with an id unknown to this library are decoded as objects with
+ * the numeric id instead of the name and the raw payload.
  * @typedef {object} Message
  * @property {string} name - Name of the message
- * @property {object} [payload={}] - Payload of the message
+ * @property {number} [id] - Id of the message if its name is unknown
+ * @property {object|Buffer} [payload={}] - Payload of the message
+ * @property {boolean} [raw] - Set by the data.Decoder if the payload could not
+ *   be decoded and is the undecoded Buffer
  */
 
 /**
@@ -72,44 +78,258 @@ function encode(name, payload) {
  */
 function decode(id, payload) {
 	var name = nameById[id];
+  if (name === undefined) {
+    // Unknown message, return raw payload
+    return new Buffer(payload || []);
+  }
 	return new messages[name].decode(payload || {});
 }
 
+var Field = protobufjs.Reflect.Message.Field;
+var EnumValue = protobufjs.Reflect.Enum.Value;
+
+// Ranges of the integer types, 64-bit types are checked separately
+var INT_RANGES = {
+  int32: [-0x80000000, 0x7fffffff],
+  sint32: [-0x80000000, 0x7fffffff],
+  sfixed32: [-0x80000000, 0x7fffffff],
+  uint32: [0, 0xffffffff],
+  fixed32: [0, 0xffffffff]
+};
+var INT64_TYPES = ['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64'];
+
+// Text fields limited by ServerConfig.message_length
+var TEXT_FIELDS = {
+  TextMessage: 'message',
+  UserState: 'comment',
+  ChannelState: 'description'
+};
+
+/**
+ * Returns the length limit a text message, user comment or channel
+ * description exceeds, checked as done by the server: Any text is limited by
+ * the image message length, texts longer than the message length are only
+ * allowed if they are within it once the src attributes of their images are
+ * removed.
+ *
+ * @param {string} text - The text
+ * @param {number} messageLength - ServerConfig.message_length, 0 for no limit
+ * @param {number} imageMessageLength - ServerConfig.image_message_length,
+ *   0 for no limit
+ * @return {number} The exceeded limit, 0 if the text is within the limits.
+ */
+function exceededLimit(text, messageLength, imageMessageLength) {
+  if (imageMessageLength > 0 && text.length > imageMessageLength) {
+    return imageMessageLength;
+  }
+  if (messageLength > 0 && text.length > messageLength
+      && stripImages(text).length > messageLength) {
+    return messageLength;
+  }
+  return 0;
+}
+
+function stripImages(text) {
+  return text.replace(/<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi, function(tag) {
+    return tag.replace(/\ssrc\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+)/gi, '');
+  });
+}
+
+/**
+ * Validates the given payload against the schema of the given message type.
+ *
+ * @param {Reflect.Message} type - The message type
+ * @param {object} payload - The payload to be validated
+ * @param {string} path - Path of the payload used in error messages
+ * @param {boolean} strip - Whether to remove unknown fields instead of failing
+ * @return {object} The payload, unknown fields removed if strip is set.
+ * @throws {TypeError} If the payload does not match the schema.
+ */
+function validate(type, payload, path, strip) {
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    throw new TypeError('Invalid value for ' + path + ': expected ' + type.name);
+  }
+  var fields = {};
+  type.getChildren(Field).forEach(function(field) {
+    fields[field.name] = field;
+  });
+
+  var result = {};
+  Object.keys(payload).forEach(function(key) {
+    var field = fields[key];
+    if (!field) {
+      if (strip) return;
+      throw new TypeError('Unknown field ' + path + '.' + key);
+    }
+    var value = payload[key];
+    if (value === undefined || value === null) {
+      result[key] = value;
+      return;
+    }
+    if (field.repeated) {
+      if (!Array.isArray(value)) {
+        throw new TypeError('Invalid value for ' + path + '.' + key
+                            + ': expected array');
+      }
+      result[key] = value.map(function(element, index) {
+        return validateValue(field, element, path + '.' + key + '[' + index + ']',
+                             strip);
+      });
+    } else {
+      result[key] = validateValue(field, value, path + '.' + key, strip);
+    }
+  });
+
+  Object.keys(fields).forEach(function(key) {
+    var value = result[key];
+    if (fields[key].required && (value === undefined || value === null)) {
+      throw new TypeError('Missing required field ' + path + '.' + key);
+    }
+  });
+  return result;
+}
+
+function validateValue(field, value, path, strip) {
+  var typeName = field.type.name;
+  var valid;
+  if (typeName == 'message') {
+    return validate(field.resolvedType, value, path, strip);
+  } else if (typeName == 'enum') {
+    valid = field.resolvedType.getChildren(EnumValue).some(function(enumValue) {
+      return enumValue.id === value || enumValue.name === value;
+    });
+  } else if (INT_RANGES[typeName]) {
+    var range = INT_RANGES[typeName];
+    valid = typeof value === 'number' && value % 1 === 0
+      && value >= range[0] && value <= range[1];
+  } else if (INT64_TYPES.indexOf(typeName) >= 0) {
+    valid = (typeof value === 'number' && value % 1 === 0)
+      || protobufjs.Long.isLong(value)
+      || (typeof value === 'string' && /^-?[0-9]+$/.test(value));
+  } else if (typeName == 'float' || typeName == 'double') {
+    valid = typeof value === 'number';
+  } else if (typeName == 'bool') {
+    valid = typeof value === 'boolean';
+  } else if (typeName == 'string') {
+    valid = typeof value === 'string';
+  } else if (typeName == 'bytes') {
+    valid = typeof value === 'string' || Buffer.isBuffer(value)
+      || value instanceof Uint8Array || value instanceof ArrayBuffer
+      || protobufjs.ByteBuffer.isByteBuffer(value);
+  } else {
+    valid = true;
+  }
+  if (!valid) {
+    throw new TypeError('Invalid value for ' + path + ': expected '
+                        + (typeName == 'enum' ? field.resolvedType.name : typeName));
+  }
+  return value;
+}
+
 /**
  * Transform stream for encoding {@link Message Mumble messages}.
+ * Payloads are validated against the schema before encoding. Messages with an
+ * unknown name, an invalid payload or text exceeding the length limits fail
+ * the stream, unless there are listeners for the 'invalid' event. In that
+ * case they are dropped and emitted as 'invalid' event with the error and the
+ * message. {@link Encoder#check} allows for validating a message before
+ * writing it.
  *
  * @constructor
  * @constructs Encoder
+ * @param {object} [options]
+ * @param {boolean} [options.stripUnknown=false] - Whether to remove unknown
+ *   fields from payloads instead of failing
+ * @param {number} [options.messageLength=0] - Maximum length of text messages,
+ *   user comments and channel descriptions without the data of their images,
+ *   0 for no limit
+ * @param {number} [options.imageMessageLength=0] - Maximum length of those
+ *   including images, 0 for no limit
  */
-function Encoder() {
+function Encoder(options) {
   // Allow use without new
-  if (!(this instanceof Encoder)) return new Encoder();
+  if (!(this instanceof Encoder)) return new Encoder(options);
 
   Transform.call(this, {
     writableObjectMode: true
   });
+
+  options = options || {};
+  this._stripUnknown = !!options.stripUnknown;
+  this._messageLength = options.messageLength || 0;
+  this._imageMessageLength = options.imageMessageLength || 0;
 }
 util.inherits(Encoder, Transform);
 
-Encoder.prototype._transform = function(chunk, encoding, callback) {
-  if (typeof chunk.name !== 'string') {
-    return callback(new TypeError('chunk.name is not a string'));
+/**
+ * Applies the length limits of the given ServerConfig message.
+ *
+ * @param {object} config - Payload of the ServerConfig message
+ */
+Encoder.prototype.setServerConfig = function(config) {
+  if (typeof config.message_length === 'number') {
+    this._messageLength = config.message_length;
   }
-  chunk.payload = chunk.payload || {};
+  if (typeof config.image_message_length === 'number') {
+    this._imageMessageLength = config.image_message_length;
+  }
+};
+
+Encoder.prototype._checkLength = function(name, payload) {
+  var field = TEXT_FIELDS[name];
+  var text = field && payload[field];
+  if (typeof text !== 'string') {
+    return;
+  }
+  var limit = exceededLimit(text, this._messageLength,
+                            this._imageMessageLength);
+  if (limit > 0) {
+    throw new RangeError('Field ' + name + '.' + field
+                         + ' exceeds maximum length of ' + limit);
+  }
+};
+
+/**
+ * Validates a message as done before encoding it.
+ *
+ * @param {Message} message - The message
+ * @return {object|Buffer} The validated payload.
+ * @throws {TypeError} If the name is unknown or the payload invalid.
+ * @throws {RangeError} If a text exceeds the length limits.
+ */
+Encoder.prototype.check = function(message) {
+  if (typeof message.name !== 'string') {
+    throw new TypeError('message.name is not a string');
+  }
+  if (!idByName.hasOwnProperty(message.name)) {
+    throw new TypeError('Unknown message: ' + message.name);
+  }
+  if (message.name == 'UDPTunnel') {
+    // UDPTunnel message doesn't need encoding
+    if (!Buffer.isBuffer(message.payload)) {
+      throw new TypeError('UDPTunnel payload is not a Buffer');
+    }
+    return message.payload;
+  }
+  var payload = validate(messages[message.name].$type, message.payload || {},
+                         message.name, this._stripUnknown);
+  this._checkLength(message.name, payload);
+  return payload;
+};
 
+Encoder.prototype._transform = function(chunk, encoding, callback) {
   // First, encode the payload
   var data;
-  if (chunk.name == 'UDPTunnel') {
-    // UDPTunnel message doesn't need encoding
-    data = chunk.payload;
-  } else {
-    try {
-      // Encode the message payload
-      data = encode(chunk.name, chunk.payload);
-    } catch (e) {
-      callback(e);
-      return;
+  try {
+    var payload = this.check(chunk);
+    data = chunk.name == 'UDPTunnel' ? payload : encode(chunk.name, payload);
+  } catch (e) {
+    if (!this.listenerCount('invalid')) {
+      return callback(e);
     }
+    // Only drop the offending message, the stream is still usable
+    this.emit('invalid', e, chunk);
+    return callback();
   }
 
   // Then create the header
@@ -120,15 +340,53 @@ Encoder.prototype._transform = function(chunk, encoding, callback) {
   callback(null, Buffer.concat([header, data]));
 };
 
+/**
+ * What to do with a message which is unknown or could not be decoded.
+ * 'raw' pushes the message with its undecoded payload and the raw flag set,
+ * 'skip' drops the message,
+ * 'error' fails the stream.
+ * A 'protocolError' event is emitted in any case.
+ *
+ * @typedef {('raw'|'skip'|'error')} ProtocolErrorPolicy
+ */
+
+/**
+ * Details of a violation of the Mumble protocol.
+ *
+ * @typedef {object} ProtocolError
+ * @property {('unknown'|'malformed'|'oversize')} type - Type of the violation
+ * @property {number} id - Id of the message
+ * @property {string} [name] - Name of the message if known
+ * @property {number} size - Size of the payload in bytes
+ * @property {Error} [error] - Error thrown while decoding the payload
+ */
+
 /**
  * Transform stream for decoding {@link Message Mumble messages}.
+ * Emits a 'protocolError' event with the {@link ProtocolError details} for
+ * every message which is unknown, malformed or too large.
  *
  * @constructor
  * @constructs Decoder
+ * @param {object} [options]
+ * @param {ProtocolErrorPolicy} [options.unknown='raw'] - What to do with
+ *   messages of unknown type
+ * @param {ProtocolErrorPolicy} [options.malformed='error'] - What to do with
+ *   messages which could not be decoded
+ * @param {number} [options.maxFrameSize=0x7fffff] - Maximum size of a message
+ *   payload in bytes, larger messages always fail the stream
  */
-function Decoder() {
+function Decoder(options) {
   // Allow use without new
-  if (!(this instanceof Decoder)) return new Decoder();
+  if (!(this instanceof Decoder)) return new Decoder(options);
+
+  options = options || {};
+  this._unknown = options.unknown || 'raw';
+  this._malformed = options.malformed || 'error';
+  this._maxFrameSize = options.maxFrameSize !== undefined
+    ? options.maxFrameSize : 0x7fffff;
+  checkPolicy('unknown', this._unknown);
+  checkPolicy('malformed', this._malformed);
 
   Transform.call(this, {
     readableObjectMode: true
@@ -139,6 +397,12 @@ function Decoder() {
 }
 util.inherits(Decoder, Transform);
 
+function checkPolicy(name, policy) {
+  if (['raw', 'skip', 'error'].indexOf(policy) < 0) {
+    throw new TypeError(name + ' has to be one of "raw", "skip" or "error"');
+  }
+}
+
 Decoder.prototype._transform = function(chunk, encoding, callback) {
   // Add incoming chunk to internal buffer
 	if (this._buffer.length - this._bufferSize < chunk.length) {
@@ -154,33 +418,80 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
 	while (this._bufferSize >= 6) {
 		var type = this._buffer.readUInt16BE(0);
 		var size = this._buffer.readUInt32BE(2);
+		var typeName = nameById[type];
+    if (size > this._maxFrameSize) {
+      // Do not even try to buffer this message
+      this._bufferSize = 0;
+      this.emit('protocolError', {
+        type: 'oversize',
+        id: type,
+        name: typeName,
+        size: size
+      });
+      return callback(new Error('Message size ' + size
+                                + ' exceeds maximum of ' + this._maxFrameSize));
+    }
 		if (this._bufferSize < 6 + size) {
 			break; // Not enough bytes in internal buffer for the expected payload
 		}
 
-		var typeName = nameById[type];
 		var data = this._buffer.slice(6, 6 + size);
     // Decode payload
-		var message;
-    if (typeName == 'UDPTunnel') {
-      // UDPTunnel payload is not encoded
-		  message = new Buffer(data);
-    } else {
+		var message = null;
+    var policy = null;
+    if (typeName === undefined) {
+      policy = this._unknown;
+      this.emit('protocolError', {
+        type: 'unknown',
+        id: type,
+        size: size
+      });
+    } else if (typeName != 'UDPTunnel') {
       try {
 		    message = decode(type, data);
       } catch (e) {
-        return callback(e);
+        policy = this._malformed;
+        this.emit('protocolError', {
+          type: 'malformed',
+          id: type,
+          name: typeName,
+          size: size,
+          error: e
+        });
+        if (policy == 'error') {
+          return callback(e);
+        }
       }
     }
+    if (policy == 'error') {
+      // Only reachable for unknown messages
+      return callback(new Error('Unknown message type ' + type));
+    }
+    if (message === null) {
+      // UDPTunnel, unknown and malformed payloads are passed on undecoded
+		  message = new Buffer(data);
+    }
 
     // Shift remaining bytes to start of internal buffer
 		this._buffer.copy(this._buffer, 0, 6 + size, this._bufferSize);
 		this._bufferSize -= 6 + size;
 
-    this.push({
-      name: typeName,
-      payload: message
-    });
+    if (policy == 'skip') {
+      continue;
+    }
+    if (policy == 'raw') {
+      this.push({
+        id: type,
+        name: typeName,
+        payload: message,
+        raw: true
+      });
+    } else {
+      this.push({
+        name: typeName,
+        payload: message
+      });
+    }
 	}
   callback();
 };
@@ -188,5 +499,6 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
 module.exports = {
   Encoder: Encoder,
   Decoder: Decoder,
-  messages: messages
+  messages: messages,
+  exceededLimit: exceededLimit
 };
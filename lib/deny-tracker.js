@@ -0,0 +1,200 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    PERMISSIONS = require('./permissions.js').PERMISSIONS,
+    errors = require('./errors.js');
+
+// Messages which may cause a denial of the given type
+var DENY_CAUSES = {
+  SuperUser: ['UserState', 'UserRemove', 'UserList'],
+  ChannelName: ['ChannelState'],
+  TextTooLong: ['TextMessage', 'UserState', 'ChannelState'],
+  TemporaryChannel: ['ChannelState', 'ACL'],
+  MissingCertificate: ['UserState'],
+  UserName: ['UserState', 'UserList'],
+  ChannelFull: ['UserState'],
+  NestingLimit: ['ChannelState'],
+  ChannelCountLimit: ['ChannelState'],
+  ChannelListenerLimit: ['UserState'],
+  UserListenerLimit: ['UserState']
+};
+
+// Messages which may be denied because of the lack of the given permission
+var PERMISSION_CAUSES = {
+  Write: ['ChannelState', 'ChannelRemove', 'ACL', 'UserState'],
+  Traverse: ['UserState'],
+  Enter: ['UserState'],
+  Speak: ['UserState'],
+  MuteDeafen: ['UserState'],
+  Move: ['UserState'],
+  MakeChannel: ['ChannelState'],
+  LinkChannel: ['ChannelState'],
+  Whisper: ['VoiceTarget'],
+  TextMessage: ['TextMessage'],
+  MakeTempChannel: ['ChannelState'],
+  Listen: ['UserState'],
+  Kick: ['UserRemove'],
+  Ban: ['UserRemove', 'BanList'],
+  Register: ['UserState', 'UserList'],
+  SelfRegister: ['UserState'],
+  ResetUserContent: ['UserState']
+};
+
+/**
+ * Attributes PermissionDenied messages to the outgoing message which caused
+ * them.
+ * Messages sent with {@link DenyTracker#send} are remembered for a short
+ * time. If a PermissionDenied message passed to
+ * {@link DenyTracker#handleMessage} arrives in the meantime, it is attributed
+ * to the most recent message which may have caused it (preferring ones which
+ * refer to the same channel or user) and the promise returned for that
+ * message is rejected with the {@link PermissionDeniedError}. Otherwise the
+ * promise is resolved once the time passed.
+ * Denials which can not be attributed are emitted as 'denied' event.
+ *
+ * @constructor
+ * @constructs DenyTracker
+ * @param {Connection|Encoder} encoder - Where messages are written to
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - Time in milliseconds to wait for a
+ *   denial of a message
+ */
+function DenyTracker(encoder, options) {
+  // Allow use without new
+  if (!(this instanceof DenyTracker)) return new DenyTracker(encoder, options);
+
+  EventEmitter.call(this);
+
+  options = options || {};
+  this._encoder = encoder;
+  this._timeout = options.timeout !== undefined ? options.timeout : 5000;
+  this._sent = [];
+}
+util.inherits(DenyTracker, EventEmitter);
+
+/**
+ * Sends a message.
+ *
+ * @param {string} name - Name of the message
+ * @param {object} [payload] - Payload of the message
+ * @return {Promise} Resolves if the message was not denied in time, rejects
+ *   with a {@link PermissionDeniedError} otherwise.
+ * @throws {TypeError|RangeError} If the message is invalid.
+ */
+DenyTracker.prototype.send = function(name, payload) {
+  var entry = { name: name, payload: payload || {} };
+  // Only tracked once written, as invalid messages throw
+  this._encoder.write({ name: name, payload: entry.payload });
+  var promise = new Promise(function(resolve, reject) {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+  entry.timer = setTimeout(function() {
+    this._remove(entry);
+    entry.resolve();
+  }.bind(this), this._timeout);
+  this._sent.push(entry);
+  return promise;
+};
+
+/**
+ * Attributes PermissionDenied messages.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message was a PermissionDenied message.
+ */
+DenyTracker.prototype.handleMessage = function(message) {
+  if (message.name != 'PermissionDenied') {
+    return false;
+  }
+  var err = errors.PermissionDeniedError.fromMessage(message.payload);
+  var entry = this._cause(err);
+  if (entry) {
+    this._remove(entry);
+    clearTimeout(entry.timer);
+    /**
+     * Name and payload of the message which caused the denial.
+     * @type {?Message}
+     */
+    err.operation = { name: entry.name, payload: entry.payload };
+    entry.reject(err);
+  } else {
+    err.operation = null;
+    this.emit('denied', err);
+  }
+  return true;
+};
+
+/**
+ * Rejects all pending messages, e.g. once the connection has been closed.
+ *
+ * @param {Error} [err] - The reason
+ */
+DenyTracker.prototype.close = function(err) {
+  var sent = this._sent;
+  this._sent = [];
+  sent.forEach(function(entry) {
+    clearTimeout(entry.timer);
+    entry.reject(err || new Error('Connection closed'));
+  });
+};
+
+/**
+ * @param {PermissionDeniedError} err - The denial
+ * @return {?object} The most recent pending message which may have caused the
+ *   denial.
+ */
+DenyTracker.prototype._cause = function(err) {
+  var names = null; // Any message may be denied for a textual reason
+  if (err.type == 'Permission') {
+    names = [];
+    Object.keys(PERMISSION_CAUSES).forEach(function(permission) {
+      if (err.permission & PERMISSIONS[permission]) {
+        names = names.concat(PERMISSION_CAUSES[permission]);
+      }
+    });
+  } else if (DENY_CAUSES[err.type]) {
+    names = DENY_CAUSES[err.type];
+  }
+  var cause = null;
+  var bestScore = -1;
+  this._sent.forEach(function(entry) {
+    if (names && names.length && names.indexOf(entry.name) < 0) {
+      return;
+    }
+    var score = relation(entry.payload, err);
+    if (score >= bestScore) {
+      cause = entry;
+      bestScore = score;
+    }
+  });
+  return cause;
+};
+
+DenyTracker.prototype._remove = function(entry) {
+  var index = this._sent.indexOf(entry);
+  if (index >= 0) {
+    this._sent.splice(index, 1);
+  }
+};
+
+/**
+ * @param {object} payload - Payload of an outgoing message
+ * @param {PermissionDeniedError} err - The denial
+ * @return {number} 2 if the payload refers to the channel of the denial, 1 if
+ *   it refers to its user, 3 if both and 0 otherwise.
+ */
+function relation(payload, err) {
+  var channels = [].concat(payload.channel_id, payload.parent, payload.tree_id,
+                           payload.listening_channel_add);
+  var sessions = [].concat(payload.session, payload.actor);
+  var score = 0;
+  if (err.channelId !== null && channels.indexOf(err.channelId) >= 0) {
+    score += 2;
+  }
+  if (err.session !== null && sessions.indexOf(err.session) >= 0) {
+    score += 1;
+  }
+  return score;
+}
+
+module.exports = DenyTracker;
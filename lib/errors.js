@@ -0,0 +1,218 @@
+var util = require('util'),
+    messages = require('./data.js').messages,
+    permissions = require('./permissions.js');
+
+var REJECT_TYPES = messages.Reject.RejectType;
+var DENY_TYPES = messages.PermissionDenied.DenyType;
+
+var REJECT_MESSAGES = {
+  None: 'Connection rejected',
+  WrongVersion: 'Incompatible version',
+  InvalidUsername: 'Invalid username',
+  WrongUserPW: 'Wrong certificate or password for registered user',
+  WrongServerPW: 'Wrong server password',
+  UsernameInUse: 'Username already in use',
+  ServerFull: 'Server is full',
+  NoCertificate: 'A certificate is required',
+  AuthenticatorFail: 'Authentication failed',
+  NoNewConnections: 'Server does not accept new connections'
+};
+
+var DENY_MESSAGES = {
+  Text: 'Operation denied',
+  Permission: 'Permission denied',
+  SuperUser: 'Cannot modify SuperUser',
+  ChannelName: 'Invalid channel name',
+  TextTooLong: 'Text message too long',
+  H9K: 'The flux capacitor was spelled wrong',
+  TemporaryChannel: 'Operation not permitted in temporary channel',
+  MissingCertificate: 'Operation requires a certificate',
+  UserName: 'Invalid username',
+  ChannelFull: 'Channel is full',
+  NestingLimit: 'Channels are nested too deeply',
+  ChannelCountLimit: 'Maximum channel count reached',
+  ChannelListenerLimit: 'Maximum number of listeners in the channel reached',
+  UserListenerLimit: 'Maximum number of listened channels reached'
+};
+
+/**
+ * Returns the name of a value of the given enum.
+ *
+ * @param {object} values - The enum
+ * @param {number|string} value - Name or id of the enum value
+ * @return {?string} The name or null if the value is unknown.
+ */
+function enumName(values, value) {
+  if (typeof value === 'string') {
+    return values.hasOwnProperty(value) ? value : null;
+  }
+  for (var name in values) {
+    if (values[name] === value) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Error for a connection rejected by the server (a Reject message).
+ *
+ * @constructor
+ * @constructs RejectError
+ * @param {number|string} [type='None'] - The RejectType (id or name)
+ * @param {string} [reason] - Human readable reason, defaults to a generic
+ *   description of the type
+ */
+function RejectError(type, reason) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  /**
+   * Name of the RejectType, 'None' if unknown.
+   * @type {string}
+   */
+  this.type = enumName(REJECT_TYPES, type || 0) || 'None';
+  /**
+   * Numeric id of the RejectType.
+   * @type {number}
+   */
+  this.code = REJECT_TYPES[this.type];
+  this.reason = reason || null;
+  this.message = reason || REJECT_MESSAGES[this.type];
+}
+util.inherits(RejectError, Error);
+RejectError.prototype.name = 'RejectError';
+
+/**
+ * Creates the error from the payload of a Reject message.
+ *
+ * @param {object} payload - Payload of the Reject message
+ * @return {RejectError} The error.
+ */
+RejectError.fromMessage = function(payload) {
+  return new RejectError(payload.type, payload.reason);
+};
+
+/**
+ * @return {object} Payload of the Reject message for this error.
+ */
+RejectError.prototype.toMessage = function() {
+  return {
+    type: this.code,
+    reason: this.message
+  };
+};
+
+/**
+ * Error for an operation denied by the server (a PermissionDenied message).
+ * Denials of a specific DenyType are instances of the subclass named after
+ * the type, e.g. ChannelFullError, which are created by
+ * {@link PermissionDeniedError.fromMessage}. Denials of type Text are
+ * instances of this class itself.
+ *
+ * @constructor
+ * @constructs PermissionDeniedError
+ * @param {number|string} [type='Text'] - The DenyType (id or name)
+ * @param {object} [payload] - Payload of the PermissionDenied message
+ */
+function PermissionDeniedError(type, payload) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  payload = payload || {};
+
+  /**
+   * Name of the DenyType, 'Text' if unknown.
+   * @type {string}
+   */
+  this.type = enumName(DENY_TYPES, type || 0) || 'Text';
+  /**
+   * Numeric id of the DenyType.
+   * @type {number}
+   */
+  this.code = DENY_TYPES[this.type];
+  /**
+   * The denied permission bitmask if the type is Permission.
+   * @type {?number}
+   */
+  this.permission = isSet(payload.permission) ? payload.permission : null;
+  this.channelId = isSet(payload.channel_id) ? payload.channel_id : null;
+  this.session = isSet(payload.session) ? payload.session : null;
+  /**
+   * The invalid user or channel name for the types UserName and ChannelName
+   * (name would shadow the name of the error class).
+   * @type {?string}
+   */
+  this.deniedName = isSet(payload.name) ? payload.name : null;
+  this.reason = payload.reason || null;
+
+  var message = DENY_MESSAGES[this.type];
+  if (this.type == 'Permission' && this.permission !== null) {
+    message += ': ' + permissions.decode(this.permission).join(', ');
+    if (this.channelId !== null) {
+      message += ' in channel ' + this.channelId;
+    }
+  } else if (this.deniedName !== null) {
+    message += ': ' + this.deniedName;
+  }
+  this.message = this.reason || message;
+}
+util.inherits(PermissionDeniedError, Error);
+PermissionDeniedError.prototype.name = 'PermissionDeniedError';
+
+/**
+ * Creates the error from the payload of a PermissionDenied message.
+ *
+ * @param {object} payload - Payload of the PermissionDenied message
+ * @return {PermissionDeniedError} The error, an instance of the subclass for
+ *   its type.
+ */
+PermissionDeniedError.fromMessage = function(payload) {
+  var type = enumName(DENY_TYPES, payload.type || 0) || 'Text';
+  var DenyError = DENY_ERRORS[type];
+  return DenyError ? new DenyError(payload)
+    : new PermissionDeniedError(type, payload);
+};
+
+/**
+ * @return {object} Payload of the PermissionDenied message for this error.
+ */
+PermissionDeniedError.prototype.toMessage = function() {
+  var payload = { type: this.code };
+  if (this.permission !== null) payload.permission = this.permission;
+  if (this.channelId !== null) payload.channel_id = this.channelId;
+  if (this.session !== null) payload.session = this.session;
+  if (this.deniedName !== null) payload.name = this.deniedName;
+  if (this.reason !== null) payload.reason = this.reason;
+  return payload;
+};
+
+// Subclasses of PermissionDeniedError by DenyType
+var DENY_ERRORS = {};
+Object.keys(DENY_TYPES).forEach(function(type) {
+  if (type == 'Text') {
+    return;
+  }
+  var DenyError = function(payload) {
+    PermissionDeniedError.call(this, type, payload);
+  };
+  util.inherits(DenyError, PermissionDeniedError);
+  DenyError.prototype.name = type + 'Error';
+  DENY_ERRORS[type] = DenyError;
+});
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+module.exports = {
+  RejectError: RejectError,
+  PermissionDeniedError: PermissionDeniedError,
+  enumName: enumName
+};
+Object.keys(DENY_ERRORS).forEach(function(type) {
+  module.exports[type + 'Error'] = DENY_ERRORS[type];
+});
@@ -0,0 +1,236 @@
+var util = require('util'),
+    Transform = require('stream').Transform;
+
+// Duration of one sequence number in milliseconds
+var SEQ_DURATION = 10;
+
+/**
+ * Signals voice frames which are missing from a transmission.
+ *
+ * @typedef {object} VoiceGap
+ * @property {number} source - Session ID of source user
+ * @property {Codec} codec - Codec of the surrounding packets
+ * @property {number} seqNum - Sequence number of the first missing frame
+ * @property {number} lost - Number of missing frames (10ms each)
+ */
+
+/**
+ * Returns the number of 10ms frames, and therefore sequence numbers, covered
+ * by a voice packet.
+ *
+ * @param {VoiceData} packet - The voice packet
+ * @return {number} Number of 10ms frames in the packet.
+ */
+function frameCount(packet) {
+  if (packet.codec != 'Opus') {
+    // CELT and Speex frames are 10ms each
+    return packet.frames.length;
+  }
+  var frame = packet.frames[0];
+  if (!frame || !frame.length) {
+    return 0;
+  }
+  // Parse the TOC byte, see RFC 6716, section 3.1
+  var config = frame[0] >> 3;
+  var frameDuration; // in 1/10 ms
+  if (config < 12) {
+    frameDuration = [100, 200, 400, 600][config & 3];
+  } else if (config < 16) {
+    frameDuration = [100, 200][config & 1];
+  } else {
+    frameDuration = [25, 50, 100, 200][config & 3];
+  }
+  var frames;
+  switch (frame[0] & 3) {
+    case 0: frames = 1; break;
+    case 3: frames = frame.length > 1 ? frame[1] & 0x3f : 1; break;
+    default: frames = 2;
+  }
+  return Math.max(1, Math.round(frameDuration * frames / (SEQ_DURATION * 10)));
+}
+
+/**
+ * Transform stream reordering {@link VoiceData voice packets} by their
+ * sequence number, separately for each source.
+ * Packets which arrive in order are passed through right away. If packets
+ * are missing, the following ones are held back until either the missing
+ * packets arrive or the delay of the buffer passed, in which case a
+ * {@link VoiceGap} is pushed for the missing frames so that packet loss
+ * concealment can be done. Late and duplicate packets are dropped.
+ * The delay adapts to the jitter measured for each source.
+ * Transmissions are flushed once a packet with the end flag has been pushed.
+ * Packets arriving after that are dropped as late if they are at most the
+ * maximum delay behind the end, otherwise they start a new transmission (as
+ * the sequence numbers of a sender may restart). The same applies to packets
+ * behind the current position of a source which has been silent for more
+ * than the maximum delay.
+ *
+ * Ping packets are passed through unchanged.
+ *
+ * @constructor
+ * @constructs JitterBuffer
+ * @param {object} [options]
+ * @param {number} [options.minDelay=20] - Minimum delay in milliseconds
+ * @param {number} [options.maxDelay=200] - Maximum delay in milliseconds
+ */
+function JitterBuffer(options) {
+  // Allow use without new
+  if (!(this instanceof JitterBuffer)) return new JitterBuffer(options);
+
+  Transform.call(this, {
+    objectMode: true
+  });
+
+  options = options || {};
+  this._minDelay = options.minDelay !== undefined ? options.minDelay : 20;
+  this._maxDelay = options.maxDelay !== undefined ? options.maxDelay : 200;
+  this._sources = {};
+  this._ended = {};
+}
+util.inherits(JitterBuffer, Transform);
+
+/**
+ * @param {number} source - Session ID of source user
+ * @return {number} The current delay for the source in milliseconds.
+ */
+JitterBuffer.prototype.getDelay = function(source) {
+  var state = this._sources[source];
+  return state ? this._delay(state) : this._minDelay;
+};
+
+JitterBuffer.prototype._transform = function(packet, encoding, callback) {
+  if (packet.timestamp !== undefined) {
+    return callback(null, packet);
+  }
+  var now = Date.now();
+  this._pruneEnded(now);
+  var source = packet.source;
+  var state = this._sources[source];
+  var restart = !!state && packet.seqNum < state.next
+    && now - state.received > this._maxDelay;
+  if (restart) {
+    // The end of the previous transmission got lost
+    this._release(source, true, true);
+    state = null;
+  }
+  if (!state) {
+    if (!restart && this._isLate(this._ended[source], packet.seqNum)) {
+      return callback(); // Late packet of a finished transmission
+    }
+    delete this._ended[source];
+    state = this._sources[source] = {
+      next: packet.seqNum,
+      packets: [],
+      jitter: 0,
+      transit: null,
+      received: now,
+      timer: null
+    };
+  }
+  state.received = now;
+
+  // Estimate jitter as in RFC 3550
+  var transit = now - packet.seqNum * SEQ_DURATION;
+  if (state.transit !== null) {
+    var d = Math.abs(transit - state.transit);
+    state.jitter += (d - state.jitter) / 16;
+  }
+  state.transit = transit;
+
+  if (packet.seqNum < state.next || state.packets.some(function(other) {
+    return other.seqNum == packet.seqNum;
+  })) {
+    return callback(); // Late or duplicate packet
+  }
+  state.packets.push(packet);
+  state.packets.sort(function(a, b) {
+    return a.seqNum - b.seqNum;
+  });
+
+  this._release(source, false, false);
+  callback();
+};
+
+JitterBuffer.prototype._flush = function(callback) {
+  Object.keys(this._sources).forEach(function(source) {
+    this._release(source, true, true);
+  }, this);
+  callback();
+};
+
+/**
+ * @param {?object} ended - End of the previous transmission of a source
+ * @param {number} seqNum - Sequence number of a packet of the source
+ * @return {boolean} Whether the packet belongs to the previous transmission.
+ */
+JitterBuffer.prototype._isLate = function(ended, seqNum) {
+  return !!ended && seqNum <= ended.seqNum
+    && (ended.seqNum - seqNum) * SEQ_DURATION <= this._maxDelay;
+};
+
+/**
+ * Forgets transmissions which ended more than the maximum delay ago.
+ *
+ * @param {number} now - The current time in milliseconds
+ */
+JitterBuffer.prototype._pruneEnded = function(now) {
+  Object.keys(this._ended).forEach(function(source) {
+    if (now - this._ended[source].time > this._maxDelay) {
+      delete this._ended[source];
+    }
+  }, this);
+};
+
+JitterBuffer.prototype._delay = function(state) {
+  return Math.min(this._maxDelay, Math.max(this._minDelay, 3 * state.jitter));
+};
+
+/**
+ * Pushes all packets of a source which are ready.
+ *
+ * @param {number} source - Session ID of source user
+ * @param {boolean} skip - Whether to stop waiting for missing packets
+ * @param {boolean} finish - Whether the transmission ended
+ */
+JitterBuffer.prototype._release = function(source, skip, finish) {
+  var state = this._sources[source];
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  var packets = state.packets;
+  while (packets.length) {
+    var packet = packets[0];
+    if (packet.seqNum > state.next) {
+      var buffered = packets[packets.length - 1].seqNum - state.next;
+      if (!skip && buffered * SEQ_DURATION < this._delay(state)) {
+        break; // Wait for the missing packets
+      }
+      this.push({
+        source: packet.source,
+        codec: packet.codec,
+        seqNum: state.next,
+        lost: packet.seqNum - state.next
+      });
+    }
+    packets.shift();
+    this.push(packet);
+    state.next = packet.seqNum + Math.max(1, frameCount(packet));
+    if (packet.end) {
+      skip = finish = true;
+    }
+  }
+
+  if (finish) {
+    this._ended[source] = { seqNum: state.next - 1, time: Date.now() };
+    delete this._sources[source];
+  } else if (packets.length) {
+    // Give up on the missing packets once the delay passed, the transmission
+    // itself continues
+    state.timer = setTimeout(this._release.bind(this, source, true, false),
+                             this._delay(state));
+  }
+};
+
+JitterBuffer.frameCount = frameCount;
+
+module.exports = JitterBuffer;
@@ -0,0 +1,164 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter;
+
+/**
+ * Permission bits as used by the PermissionQuery, PermissionDenied and ACL
+ * messages.
+ *
+ * @enum {number}
+ */
+var PERMISSIONS = {
+  None: 0x0,
+  Write: 0x1,
+  Traverse: 0x2,
+  Enter: 0x4,
+  Speak: 0x8,
+  MuteDeafen: 0x10,
+  Move: 0x20,
+  MakeChannel: 0x40,
+  LinkChannel: 0x80,
+  Whisper: 0x100,
+  TextMessage: 0x200,
+  MakeTempChannel: 0x400,
+  Listen: 0x800,
+  // Only valid on the root channel
+  Kick: 0x10000,
+  Ban: 0x20000,
+  Register: 0x40000,
+  SelfRegister: 0x80000,
+  ResetUserContent: 0x100000,
+  // Set by the server in PermissionQuery messages
+  Cached: 0x8000000
+};
+PERMISSIONS.All = PERMISSIONS.Write | PERMISSIONS.Traverse | PERMISSIONS.Enter
+  | PERMISSIONS.Speak | PERMISSIONS.MuteDeafen | PERMISSIONS.Move
+  | PERMISSIONS.MakeChannel | PERMISSIONS.LinkChannel | PERMISSIONS.Whisper
+  | PERMISSIONS.TextMessage | PERMISSIONS.MakeTempChannel | PERMISSIONS.Listen
+  | PERMISSIONS.Kick | PERMISSIONS.Ban | PERMISSIONS.Register
+  | PERMISSIONS.SelfRegister | PERMISSIONS.ResetUserContent;
+
+// Names of the single bits, in order
+var NAMES = Object.keys(PERMISSIONS).filter(function(name) {
+  return name != 'None' && name != 'All';
+});
+
+/**
+ * Name of a permission, see {@link PERMISSIONS}.
+ *
+ * @typedef {string} Permission
+ */
+
+/**
+ * Combines permissions into a bitmask.
+ *
+ * @param {Permission[]|Permission} names - The permissions
+ * @return {number} The bitmask.
+ * @throws {TypeError} If a permission is unknown.
+ */
+function encode(names) {
+  return [].concat(names).reduce(function(bits, name) {
+    if (!PERMISSIONS.hasOwnProperty(name)) {
+      throw new TypeError('Unknown permission: ' + name);
+    }
+    return bits | PERMISSIONS[name];
+  }, 0) >>> 0;
+}
+
+/**
+ * Splits a bitmask into the permissions it contains.
+ *
+ * @param {number} bits - The bitmask
+ * @return {Permission[]} The permissions, unknown bits are ignored.
+ */
+function decode(bits) {
+  return NAMES.filter(function(name) {
+    return (bits & PERMISSIONS[name]) !== 0;
+  });
+}
+
+/**
+ * @param {number} bits - The bitmask
+ * @param {Permission[]|Permission} names - The permissions
+ * @return {boolean} Whether the bitmask contains all of the permissions.
+ */
+function has(bits, names) {
+  var required = encode(names);
+  return ((bits & required) >>> 0) === required;
+}
+
+/**
+ * Caches the permissions of the own user per channel as sent by the server
+ * in PermissionQuery messages passed to {@link PermissionCache#handleMessage}.
+ *
+ * Emits 'update' with the channel id and the new permissions whenever the
+ * permissions of a channel are received and 'flush' whenever the server
+ * invalidated all cached permissions.
+ *
+ * @constructor
+ * @constructs PermissionCache
+ */
+function PermissionCache() {
+  // Allow use without new
+  if (!(this instanceof PermissionCache)) return new PermissionCache();
+
+  EventEmitter.call(this);
+
+  this._permissions = {};
+}
+util.inherits(PermissionCache, EventEmitter);
+
+/**
+ * Applies a message decoded by a data.Decoder.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message changes the cache.
+ */
+PermissionCache.prototype.handleMessage = function(message) {
+  var payload = message.payload;
+  switch (message.name) {
+    case 'PermissionQuery':
+      if (payload.flush) {
+        this._permissions = {};
+        this.emit('flush');
+      }
+      if (payload.channel_id !== undefined && payload.channel_id !== null
+          && payload.permissions !== undefined && payload.permissions !== null) {
+        this._permissions[payload.channel_id] = payload.permissions;
+        this.emit('update', payload.channel_id, payload.permissions);
+      }
+      return true;
+    case 'ChannelRemove':
+      delete this._permissions[payload.channel_id];
+      return true;
+  }
+  return false;
+};
+
+/**
+ * @param {number} channelId - Id of the channel
+ * @return {?number} The permissions in the channel or null if unknown, in
+ *   which case they should be queried with a PermissionQuery message.
+ */
+PermissionCache.prototype.get = function(channelId) {
+  var permissions = this._permissions[channelId];
+  return permissions === undefined ? null : permissions;
+};
+
+/**
+ * @param {number} channelId - Id of the channel
+ * @param {Permission[]|Permission} names - The permissions
+ * @return {?boolean} Whether all of the permissions are granted in the
+ *   channel or null if the permissions are unknown.
+ */
+PermissionCache.prototype.has = function(channelId, names) {
+  var permissions = this.get(channelId);
+  return permissions === null ? null : has(permissions, names);
+};
+
+module.exports = {
+  PERMISSIONS: PERMISSIONS,
+  encode: encode,
+  decode: decode,
+  has: has,
+  PermissionCache: PermissionCache
+};
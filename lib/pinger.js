@@ -0,0 +1,154 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    Long = require('protobufjs').Long;
+
+/**
+ * Sends pings over one transport and measures their round trip time.
+ * The timestamp of each ping is the local time in milliseconds, answers are
+ * matched by the timestamp echoed by the remote. As done by the official
+ * client, average and variance are accumulated over all answered pings and
+ * written into the udpPingAvg/udpPingVar or tcpPingAvg/tcpPingVar fields of
+ * the {@link Stats} to be reported in the next Ping message.
+ *
+ * Emits 'ping' with the timestamp of every ping sent and 'pong' with the
+ * round trip time in milliseconds and the timestamp of every answered ping.
+ *
+ * @constructor
+ * @constructs Pinger
+ * @param {('udp'|'tcp')} type - The transport the pings are sent over
+ * @param {function} send - Called with the timestamp to send a ping
+ * @param {object} [options]
+ * @param {Stats} [options.stats] - Statistics receiving average and variance
+ * @param {number} [options.interval=5000] - Time in milliseconds between two
+ *   pings once started
+ * @param {number} [options.timeout=15000] - Time in milliseconds after which
+ *   unanswered pings are forgotten
+ */
+function Pinger(type, send, options) {
+  // Allow use without new
+  if (!(this instanceof Pinger)) return new Pinger(type, send, options);
+
+  if (type != 'udp' && type != 'tcp') {
+    throw new TypeError('type has to be either "udp" or "tcp"');
+  }
+
+  EventEmitter.call(this);
+
+  options = options || {};
+  this._type = type;
+  this._send = send;
+  this._stats = options.stats || null;
+  this._interval = options.interval !== undefined ? options.interval : 5000;
+  this._timeout = options.timeout !== undefined ? options.timeout : 15000;
+  this._timer = null;
+  this._pings = [];
+  this._count = 0;
+  this._mean = 0;
+  this._m2 = 0;
+  this._lastPong = null;
+}
+util.inherits(Pinger, EventEmitter);
+
+/**
+ * Starts sending pings periodically, the first one right away.
+ */
+Pinger.prototype.start = function() {
+  if (this._timer) {
+    return;
+  }
+  this._timer = setInterval(this.ping.bind(this), this._interval);
+  this.ping();
+};
+
+/**
+ * Stops sending pings periodically.
+ */
+Pinger.prototype.stop = function() {
+  clearInterval(this._timer);
+  this._timer = null;
+};
+
+/**
+ * Sends a ping.
+ *
+ * @return {number} The timestamp of the ping.
+ */
+Pinger.prototype.ping = function() {
+  var now = Date.now();
+  // Only remember the pings which may still be answered in time
+  this._pings = this._pings.filter(function(timestamp) {
+    return now - timestamp <= this._timeout;
+  }, this);
+  if (this._pings.indexOf(now) < 0) {
+    this._pings.push(now);
+  }
+  this._send(now);
+  this.emit('ping', now);
+  return now;
+};
+
+/**
+ * Handles the answer to a ping.
+ *
+ * @param {number|Long} timestamp - The echoed timestamp
+ * @return {?number} The round trip time in milliseconds or null if the
+ *   timestamp does not belong to an unanswered ping.
+ */
+Pinger.prototype.handlePong = function(timestamp) {
+  if (Long.isLong(timestamp)) {
+    timestamp = timestamp.toNumber();
+  }
+  var index = this._pings.indexOf(timestamp);
+  if (index < 0) {
+    return null; // Not one of ours or answered too late
+  }
+  this._pings.splice(index, 1);
+
+  var now = Date.now();
+  var rtt = now - timestamp;
+  this._lastPong = now;
+
+  // Welford's algorithm for the population variance
+  this._count++;
+  var delta = rtt - this._mean;
+  this._mean += delta / this._count;
+  this._m2 += delta * (rtt - this._mean);
+
+  if (this._stats) {
+    this._stats[this._type + 'PingAvg'] = this.getAverage();
+    this._stats[this._type + 'PingVar'] = this.getVariance();
+  }
+  this.emit('pong', rtt, timestamp);
+  return rtt;
+};
+
+/**
+ * @return {number} Average round trip time in milliseconds.
+ */
+Pinger.prototype.getAverage = function() {
+  return this._mean;
+};
+
+/**
+ * @return {number} Variance of the round trip time.
+ */
+Pinger.prototype.getVariance = function() {
+  return this._count ? this._m2 / this._count : 0;
+};
+
+/**
+ * @return {number} Number of answered pings.
+ */
+Pinger.prototype.getCount = function() {
+  return this._count;
+};
+
+/**
+ * @return {?number} Time of the last answered ping or null if none was
+ *   answered yet.
+ */
+Pinger.prototype.getLastPong = function() {
+  return this._lastPong;
+};
+
+module.exports = Pinger;
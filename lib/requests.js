@@ -0,0 +1,294 @@
+var PERMISSIONS = require('./permissions.js').PERMISSIONS,
+    PermissionDeniedError = require('./errors.js').PermissionDeniedError;
+
+/**
+ * Sends query messages and resolves with the matching responses.
+ * Responses are matched among the messages passed to
+ * {@link Requests#handleMessage}, so all messages received from the server
+ * should be passed to it.
+ * Requests are rejected if no response arrived within the timeout (with the
+ * code 'REQUEST_TIMEOUT') or if the server denied the request with a
+ * PermissionDenied message (with a {@link PermissionDeniedError}).
+ *
+ * @constructor
+ * @constructs Requests
+ * @param {Connection|Encoder} encoder - Where query messages are written to
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Time in milliseconds to wait for
+ *   a response
+ */
+function Requests(encoder, options) {
+  // Allow use without new
+  if (!(this instanceof Requests)) return new Requests(encoder, options);
+
+  options = options || {};
+  this._encoder = encoder;
+  this._timeout = options.timeout !== undefined ? options.timeout : 10000;
+  this._pending = [];
+}
+
+/**
+ * Resolves or rejects the oldest pending request matching the message.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message completed a request.
+ */
+Requests.prototype.handleMessage = function(message) {
+  var payload = message.payload;
+  var denied = message.name == 'PermissionDenied';
+  for (var i = 0; i < this._pending.length; i++) {
+    var request = this._pending[i];
+    if (denied ? request.denied && request.denied(payload)
+        : request.response == message.name && request.match(payload)) {
+      this._pending.splice(i, 1);
+      clearTimeout(request.timer);
+      if (denied) {
+        request.reject(PermissionDeniedError.fromMessage(payload));
+      } else {
+        request.resolve(request.result(payload));
+      }
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Rejects all pending requests, e.g. once the connection has been closed.
+ *
+ * @param {Error} [err] - The reason
+ */
+Requests.prototype.close = function(err) {
+  var pending = this._pending;
+  this._pending = [];
+  pending.forEach(function(request) {
+    clearTimeout(request.timer);
+    request.reject(err || new Error('Connection closed'));
+  });
+};
+
+/**
+ * Looks up registered users by id or name.
+ *
+ * @param {object} query
+ * @param {number[]} [query.ids] - User ids to look up
+ * @param {string[]} [query.names] - User names to look up
+ * @return {Promise<object>} Resolves with the payload of the QueryUsers
+ *   response containing the matching ids and names.
+ */
+Requests.prototype.queryUsers = function(query) {
+  return this._request('QueryUsers', {
+    ids: query.ids || [],
+    names: query.names || []
+  }, {
+    response: 'QueryUsers'
+  });
+};
+
+/**
+ * Queries the statistics of a user.
+ *
+ * @param {number} session - Session ID of the user
+ * @param {boolean} [statsOnly=false] - Whether to only query the statistics
+ *   but not the version, addresses and certificates
+ * @return {Promise<object>} Resolves with the payload of the UserStats
+ *   response.
+ */
+Requests.prototype.queryUserStats = function(session, statsOnly) {
+  return this._request('UserStats', {
+    session: session,
+    stats_only: !!statsOnly
+  }, {
+    response: 'UserStats',
+    match: function(payload) {
+      return payload.session === session;
+    },
+    denied: function(payload) {
+      return payload.session === session;
+    }
+  });
+};
+
+/**
+ * Queries the permissions of the own user in a channel.
+ *
+ * @param {number} channelId - Id of the channel
+ * @return {Promise<number>} Resolves with the permission bitmask.
+ */
+Requests.prototype.queryPermissions = function(channelId) {
+  return this._request('PermissionQuery', {
+    channel_id: channelId
+  }, {
+    response: 'PermissionQuery',
+    match: function(payload) {
+      return payload.channel_id === channelId;
+    },
+    result: function(payload) {
+      return payload.permissions;
+    }
+  });
+};
+
+/**
+ * Queries the ACL and groups of a channel.
+ *
+ * @param {number} channelId - Id of the channel
+ * @return {Promise<object>} Resolves with the payload of the ACL response.
+ */
+Requests.prototype.queryAcl = function(channelId) {
+  return this._request('ACL', {
+    channel_id: channelId,
+    query: true
+  }, {
+    response: 'ACL',
+    match: function(payload) {
+      return payload.channel_id === channelId && !payload.query;
+    },
+    denied: function(payload) {
+      return payload.channel_id === channelId
+        && payload.permission === PERMISSIONS.Write;
+    }
+  });
+};
+
+/**
+ * Queries the bans of the server.
+ *
+ * @return {Promise<object[]>} Resolves with the BanEntry list.
+ */
+Requests.prototype.queryBanList = function() {
+  return this._request('BanList', {
+    query: true
+  }, {
+    response: 'BanList',
+    match: function(payload) {
+      return !payload.query;
+    },
+    denied: function(payload) {
+      return payload.permission === PERMISSIONS.Ban;
+    },
+    result: function(payload) {
+      return payload.bans;
+    }
+  });
+};
+
+/**
+ * Queries the registered users of the server.
+ *
+ * @return {Promise<object[]>} Resolves with the User list.
+ */
+Requests.prototype.queryUserList = function() {
+  return this._request('UserList', {}, {
+    response: 'UserList',
+    denied: function(payload) {
+      return payload.permission === PERMISSIONS.Register;
+    },
+    result: function(payload) {
+      return payload.users;
+    }
+  });
+};
+
+/**
+ * Requests the full comment of a user.
+ *
+ * @param {number} session - Session ID of the user
+ * @return {Promise<string>} Resolves with the comment.
+ */
+Requests.prototype.requestUserComment = function(session) {
+  return this._requestBlob('session_comment', 'UserState', 'session', session,
+                           'comment');
+};
+
+/**
+ * Requests the full texture (avatar) of a user.
+ *
+ * @param {number} session - Session ID of the user
+ * @return {Promise<Buffer>} Resolves with the texture.
+ */
+Requests.prototype.requestUserTexture = function(session) {
+  return this._requestBlob('session_texture', 'UserState', 'session', session,
+                           'texture');
+};
+
+/**
+ * Requests the full description of a channel.
+ *
+ * @param {number} channelId - Id of the channel
+ * @return {Promise<string>} Resolves with the description.
+ */
+Requests.prototype.requestChannelDescription = function(channelId) {
+  return this._requestBlob('channel_description', 'ChannelState',
+                           'channel_id', channelId, 'description');
+};
+
+Requests.prototype._requestBlob = function(list, response, key, id, field) {
+  var payload = {};
+  payload[list] = [id];
+  return this._request('RequestBlob', payload, {
+    response: response,
+    match: function(payload) {
+      return payload[key] === id && payload[field] !== null
+        && payload[field] !== undefined;
+    },
+    result: function(payload) {
+      return toBuffer(payload[field]);
+    }
+  });
+};
+
+/**
+ * Sends a request and registers it as pending.
+ *
+ * @param {string} name - Name of the message to be sent
+ * @param {object} payload - Payload of the message to be sent
+ * @param {object} request
+ * @param {string} request.response - Name of the response message
+ * @param {function} [request.match] - Whether a response payload matches
+ * @param {function} [request.denied] - Whether a PermissionDenied payload
+ *   belongs to the request
+ * @param {function} [request.result] - Converts the response payload into the
+ *   result
+ * @return {Promise} Resolves with the result.
+ * @throws {TypeError|RangeError} If the message is invalid.
+ */
+Requests.prototype._request = function(name, payload, request) {
+  request.match = request.match || function() {
+    return true;
+  };
+  request.result = request.result || function(payload) {
+    return payload;
+  };
+  // Only registered once written, as invalid messages throw
+  this._encoder.write({ name: name, payload: payload });
+  var promise = new Promise(function(resolve, reject) {
+    request.resolve = resolve;
+    request.reject = reject;
+  });
+  request.timer = setTimeout(function() {
+    var index = this._pending.indexOf(request);
+    if (index >= 0) {
+      this._pending.splice(index, 1);
+    }
+    var err = new Error('Request timed out: ' + name);
+    err.code = 'REQUEST_TIMEOUT';
+    request.reject(err);
+  }.bind(this), this._timeout);
+  this._pending.push(request);
+  return promise;
+};
+
+function toBuffer(value) {
+  if (value && typeof value.toBuffer === 'function') {
+    // bytes fields are decoded as ByteBuffer
+    value = value.toBuffer();
+    // toBuffer returns an ArrayBuffer when called in the browser
+    if (!Buffer.isBuffer(value)) {
+      value = Buffer.from(value);
+    }
+  }
+  return value;
+}
+
+module.exports = Requests;
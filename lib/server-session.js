@@ -0,0 +1,299 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    UdpCrypt = require('./udp-crypto.js'),
+    CryptSetup = require('./crypt-setup.js'),
+    RejectError = require('./errors.js').RejectError,
+    version = require('./version.js');
+
+/**
+ * Authentication hook of a {@link ServerSession}.
+ * Has to call the callback either with an error (a {@link RejectError} to
+ * choose the RejectType sent to the client) or with the UserState payload of
+ * the new user. If the payload has no session, one is assigned. Errors thrown
+ * by the hook are handled like errors passed to the callback.
+ *
+ * @callback Authenticator
+ * @param {object} authenticate - Payload of the Authenticate message
+ * @param {?object} version - Payload of the client's Version message
+ * @param {function} callback - Called as callback(err, user)
+ */
+
+/**
+ * Drives the server side of the handshake with a client.
+ * Sends the Version message right away and waits for the client to
+ * authenticate. Once the {@link Authenticator} accepts the client, the crypt
+ * setup, codec version, all channels and users of the {@link State}, the
+ * ServerSync and ServerConfig messages are sent. Otherwise the client is sent
+ * a Reject message and the connection is closed.
+ *
+ * The session goes through the states 'connecting', 'authenticating',
+ * 'synced' and 'closed' and emits 'state' with the new state whenever it
+ * changes. Emits 'authenticated' with the UserState payload of the new user
+ * before the initial state is sent and 'rejected' with the
+ * {@link RejectError}.
+ *
+ * @constructor
+ * @constructs ServerSession
+ * @param {Connection} connection - The connection to the client
+ * @param {object} options
+ * @param {Authenticator} options.authenticate - The authentication hook
+ * @param {State} [options.state] - Channels and users sent to the client, the
+ *   new user is added to it and removed once the connection is closed
+ * @param {UdpCrypt} [options.block] - Block cipher for the UDP connection
+ * @param {object} [options.version] - Payload of the Version message
+ * @param {object} [options.codecVersion] - Payload of the CodecVersion message
+ * @param {object} [options.serverSync] - Payload of the ServerSync message,
+ *   the session is filled in
+ * @param {object} [options.serverConfig] - Payload of the ServerConfig message
+ * @param {object} [options.suggestConfig] - Payload of the SuggestConfig
+ *   message, not sent if absent
+ */
+function ServerSession(connection, options) {
+  // Allow use without new
+  if (!(this instanceof ServerSession)) {
+    return new ServerSession(connection, options);
+  }
+
+  if (connection.getRemote() != 'client') {
+    throw new TypeError('ServerSession requires a connection to a client');
+  }
+  if (typeof options.authenticate !== 'function') {
+    throw new TypeError('options.authenticate is not a function');
+  }
+
+  EventEmitter.call(this);
+
+  this._connection = connection;
+  this._options = options;
+  this._state = 'connecting';
+  this._clientVersion = null;
+  this._user = null;
+
+  var block = options.block || new UdpCrypt(connection.getStats());
+  this._cryptSetup = new CryptSetup('client', block, connection);
+
+  this._onMessage = this._onMessage.bind(this);
+  this._onClose = this._setState.bind(this, 'closed');
+  connection.on('message', this._onMessage);
+  connection.on('close', this._onClose);
+
+  connection.send('Version', options.version || {
+    version: version.toUInt8(),
+    version_v2: version.toUInt64(),
+    release: 'mumble-streams',
+    os: 'node.js',
+    os_version: ''
+  });
+}
+util.inherits(ServerSession, EventEmitter);
+
+/**
+ * @return {string} The current state of the session.
+ */
+ServerSession.prototype.getState = function() {
+  return this._state;
+};
+
+/**
+ * @return {?object} UserState payload of the user once authenticated.
+ */
+ServerSession.prototype.getUser = function() {
+  return this._user;
+};
+
+/**
+ * @return {?object} Payload of the Version message sent by the client.
+ */
+ServerSession.prototype.getClientVersion = function() {
+  return this._clientVersion;
+};
+
+/**
+ * @return {CryptSetup} Handles the crypt setup of the UDP connection.
+ */
+ServerSession.prototype.getCryptSetup = function() {
+  return this._cryptSetup;
+};
+
+/**
+ * Rejects the client and closes the connection.
+ *
+ * @param {RejectError} err - The reason
+ */
+ServerSession.prototype.reject = function(err) {
+  if (this._state == 'closed') {
+    return;
+  }
+  if (!(err instanceof RejectError)) {
+    err = new RejectError('None', err && err.message);
+  }
+  this._connection.send('Reject', err.toMessage());
+  this._connection.close();
+  this.emit('rejected', err);
+  this._setState('closed');
+};
+
+ServerSession.prototype._onMessage = function(message) {
+  switch (message.name) {
+    case 'Version':
+      this._clientVersion = message.payload;
+      break;
+    case 'Authenticate':
+      if (this._state == 'connecting') {
+        this._authenticate(message.payload);
+      }
+      break;
+    case 'CryptSetup':
+      this._cryptSetup.handleMessage(message);
+      break;
+  }
+};
+
+ServerSession.prototype._authenticate = function(payload) {
+  this._setState('authenticating');
+  var callback = function(err, user) {
+    if (this._state != 'authenticating') {
+      return; // Connection closed in the meantime
+    }
+    if (err) {
+      return this.reject(err);
+    }
+    this._cryptSetup.setup(function(err) {
+      if (this._state != 'authenticating') {
+        return;
+      }
+      if (err) {
+        return this.reject(err);
+      }
+      this._sync(user);
+    }.bind(this));
+  }.bind(this);
+  try {
+    this._options.authenticate(payload, this._clientVersion, callback);
+  } catch (err) {
+    // Handled like an error passed to the callback
+    callback(err);
+  }
+};
+
+ServerSession.prototype._sync = function(user) {
+  var connection = this._connection;
+  var options = this._options;
+  var state = options.state;
+
+  if (user.session === undefined || user.session === null) {
+    user.session = state ? nextSession(state) : 1;
+  }
+  this._user = user;
+  this.emit('authenticated', user);
+
+  connection.send('CodecVersion', options.codecVersion || {
+    alpha: -2147483637,
+    beta: 0,
+    prefer_alpha: true,
+    opus: true
+  });
+
+  if (state) {
+    // Parents have to be known before their children, links only once all
+    // channels are known
+    var channels = [];
+    var addTree = function(tree) {
+      channels.push(tree.channel);
+      tree.children.forEach(addTree);
+    };
+    var tree = state.getChannelTree();
+    if (tree) {
+      addTree(tree);
+    }
+    channels.forEach(function(channel) {
+      var payload = copy(channel);
+      delete payload.links;
+      connection.send('ChannelState', payload);
+    });
+    channels.forEach(function(channel) {
+      if (channel.links.length) {
+        connection.send('ChannelState', {
+          channel_id: channel.channel_id,
+          links: channel.links
+        });
+      }
+    });
+
+    state.handleMessage({ name: 'UserState', payload: user });
+    state.getUsers().forEach(function(user) {
+      connection.send('UserState', toUserState(user));
+    });
+  } else {
+    connection.send('UserState', user);
+  }
+
+  var serverSync = copy(options.serverSync || {});
+  serverSync.session = user.session;
+  connection.send('ServerSync', serverSync);
+  connection.send('ServerConfig', options.serverConfig || {});
+  if (options.suggestConfig) {
+    connection.send('SuggestConfig', options.suggestConfig);
+  }
+  this._setState('synced');
+};
+
+ServerSession.prototype._setState = function(state) {
+  if (this._state == state) {
+    return;
+  }
+  var synced = this._state == 'synced';
+  this._state = state;
+  if (state == 'closed') {
+    this._connection.removeListener('message', this._onMessage);
+    this._connection.removeListener('close', this._onClose);
+    if (synced && this._options.state) {
+      this._options.state.handleMessage({
+        name: 'UserRemove',
+        payload: { session: this._user.session }
+      });
+    }
+  }
+  this.emit('state', state);
+};
+
+/**
+ * @param {State} state - The state of the server
+ * @return {number} An unused session id.
+ */
+function nextSession(state) {
+  return state.getUsers().reduce(function(max, user) {
+    return Math.max(max, user.session);
+  }, 0) + 1;
+}
+
+/**
+ * Converts a {@link User} back into a UserState payload.
+ *
+ * @param {User} user - The user
+ * @return {object} The UserState payload.
+ */
+function toUserState(user) {
+  var payload = copy(user);
+  delete payload.listening_channels;
+  delete payload.listening_volume_adjustment;
+  payload.listening_channel_add = user.listening_channels;
+  payload.listening_volume_adjustment = Object.keys(
+      user.listening_volume_adjustment).map(function(id) {
+    return {
+      listening_channel: Number(id),
+      volume_adjustment: user.listening_volume_adjustment[id]
+    };
+  });
+  return payload;
+}
+
+function copy(object) {
+  var result = {};
+  Object.keys(object).forEach(function(key) {
+    result[key] = object[key];
+  });
+  return result;
+}
+
+module.exports = ServerSession;
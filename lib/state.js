@@ -0,0 +1,402 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter;
+
+// Fields which are not simply replaced when present in a message
+var CHANNEL_SPECIAL = ['channel_id', 'links', 'links_add', 'links_remove'];
+// Decoded messages contain the default value for absent fields which have
+// one, so these can only be told apart from absent ones if they differ
+var CHANNEL_DEFAULTS = { temporary: false, position: 0 };
+var USER_SPECIAL = ['session', 'actor', 'temporary_access_tokens',
+  'listening_channel_add', 'listening_channel_remove',
+  'listening_volume_adjustment'];
+
+/**
+ * A channel as known from ChannelState messages.
+ * Has all fields of the ChannelState message which have been received so far
+ * except for links_add and links_remove.
+ *
+ * @typedef {object} Channel
+ * @property {number} channel_id - Id of the channel
+ * @property {number} [parent] - Id of the parent, absent for the root
+ * @property {number[]} links - Ids of the linked channels
+ */
+
+/**
+ * A user as known from UserState messages.
+ * Has all fields of the UserState message which have been received so far
+ * except for actor and the fields used to change the listening channels.
+ *
+ * @typedef {object} User
+ * @property {number} session - Session id of the user
+ * @property {number[]} listening_channels - Ids of channels listened to
+ * @property {object} listening_volume_adjustment - Volume adjustments by id
+ *   of the listened channel
+ */
+
+/**
+ * Changes caused by a single message, by field name.
+ *
+ * @typedef {object.<string, {before: *, after: *}>} Changes
+ */
+
+/**
+ * Tracks the channels and users of a server by applying the ChannelState,
+ * ChannelRemove, UserState, UserRemove and ServerSync messages passed to
+ * {@link State#handleMessage}.
+ *
+ * Emits 'channelCreated' and 'userCreated' with the new {@link Channel} or
+ * {@link User}, 'channelChanged' and 'userChanged' with the channel or user,
+ * the {@link Changes} and the payload of the message, 'channelRemoved' and
+ * 'userRemoved' with the removed channel or user and the payload, and 'synced'
+ * with the own user and the payload of the ServerSync message.
+ *
+ * @constructor
+ * @constructs State
+ */
+function State() {
+  // Allow use without new
+  if (!(this instanceof State)) return new State();
+
+  EventEmitter.call(this);
+
+  this._channels = {};
+  this._users = {};
+  this._session = null;
+  this._synced = false;
+}
+util.inherits(State, EventEmitter);
+
+/**
+ * Applies a message decoded by a data.Decoder.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message changes the state.
+ */
+State.prototype.handleMessage = function(message) {
+  if (message.raw) {
+    return false; // Undecoded payload
+  }
+  switch (message.name) {
+    case 'ChannelState':
+      this._channelState(message.payload);
+      return true;
+    case 'ChannelRemove':
+      this._channelRemove(message.payload);
+      return true;
+    case 'UserState':
+      this._userState(message.payload);
+      return true;
+    case 'UserRemove':
+      this._userRemove(message.payload);
+      return true;
+    case 'ServerSync':
+      this._serverSync(message.payload);
+      return true;
+  }
+  return false;
+};
+
+/**
+ * @return {boolean} Whether the initial state has been received.
+ */
+State.prototype.isSynced = function() {
+  return this._synced;
+};
+
+/**
+ * @param {number} id - Id of the channel
+ * @return {?Channel} The channel or null if it does not exist.
+ */
+State.prototype.getChannel = function(id) {
+  return this._channels[id] || null;
+};
+
+/**
+ * @return {Channel[]} All channels.
+ */
+State.prototype.getChannels = function() {
+  return values(this._channels);
+};
+
+/**
+ * @return {?Channel} The root channel or null if it does not exist yet.
+ */
+State.prototype.getRootChannel = function() {
+  return this.getChannel(0);
+};
+
+/**
+ * @param {number} id - Id of the parent channel
+ * @return {Channel[]} The direct sub channels of the channel.
+ */
+State.prototype.getChildren = function(id) {
+  return this.getChannels().filter(function(channel) {
+    return channel.channel_id !== id && channel.parent === id;
+  });
+};
+
+/**
+ * @param {number} session - Session id of the user
+ * @return {?User} The user or null if they do not exist.
+ */
+State.prototype.getUser = function(session) {
+  return this._users[session] || null;
+};
+
+/**
+ * @return {User[]} All users.
+ */
+State.prototype.getUsers = function() {
+  return values(this._users);
+};
+
+/**
+ * @param {number} id - Id of the channel
+ * @return {User[]} The users in the channel.
+ */
+State.prototype.getUsersInChannel = function(id) {
+  return this.getUsers().filter(function(user) {
+    return user.channel_id === id;
+  });
+};
+
+/**
+ * @return {?User} The own user or null if the ServerSync has not yet been
+ *   received.
+ */
+State.prototype.getSelf = function() {
+  return this._session === null ? null : this.getUser(this._session);
+};
+
+/**
+ * A node of the channel tree.
+ *
+ * @typedef {object} ChannelTree
+ * @property {Channel} channel - The channel
+ * @property {ChannelTree[]} children - The sub channels
+ * @property {User[]} users - The users in the channel
+ */
+
+/**
+ * @param {number} [id=0] - Id of the root of the tree
+ * @return {?ChannelTree} The channel tree or null if the channel does not
+ *   exist.
+ */
+State.prototype.getChannelTree = function(id) {
+  var channel = this.getChannel(id || 0);
+  if (!channel) {
+    return null;
+  }
+  return {
+    channel: channel,
+    children: this.getChildren(channel.channel_id).map(function(child) {
+      return this.getChannelTree(child.channel_id);
+    }, this),
+    users: this.getUsersInChannel(channel.channel_id)
+  };
+};
+
+State.prototype._channelState = function(payload) {
+  var id = payload.channel_id;
+  var channel = this._channels[id];
+  var created = !channel;
+  if (created) {
+    channel = this._channels[id] = { channel_id: id, links: [] };
+  }
+
+  var changes = merge(channel, payload, CHANNEL_SPECIAL,
+                      created ? {} : CHANNEL_DEFAULTS);
+  var linked = [];
+  var unlinked = [];
+  var links = channel.links;
+  if (payload.links && payload.links.length) {
+    // Full list of links, absent during the first channel listing
+    linked = payload.links.filter(function(link) {
+      return links.indexOf(link) < 0;
+    });
+    unlinked = links.filter(function(link) {
+      return payload.links.indexOf(link) < 0;
+    });
+  }
+  (payload.links_add || []).forEach(function(link) {
+    if (links.indexOf(link) < 0 && linked.indexOf(link) < 0) {
+      linked.push(link);
+    }
+  });
+  (payload.links_remove || []).forEach(function(link) {
+    if (links.indexOf(link) >= 0 && unlinked.indexOf(link) < 0) {
+      unlinked.push(link);
+    }
+  });
+  if (linked.length || unlinked.length) {
+    changes.links = { before: links, after: update(links, linked, unlinked) };
+    channel.links = changes.links.after;
+  }
+
+  if (created) {
+    this.emit('channelCreated', channel);
+  } else if (Object.keys(changes).length) {
+    this.emit('channelChanged', channel, changes, payload);
+  }
+
+  // Links are bidirectional
+  linked.forEach(function(link) {
+    this._linkChanged(link, [id], [], payload);
+  }, this);
+  unlinked.forEach(function(link) {
+    this._linkChanged(link, [], [id], payload);
+  }, this);
+};
+
+State.prototype._linkChanged = function(id, linked, unlinked, payload) {
+  var channel = this._channels[id];
+  if (!channel) {
+    return;
+  }
+  var links = update(channel.links, linked, unlinked);
+  if (links.length != channel.links.length) {
+    var changes = { links: { before: channel.links, after: links } };
+    channel.links = links;
+    this.emit('channelChanged', channel, changes, payload);
+  }
+};
+
+State.prototype._channelRemove = function(payload) {
+  var id = payload.channel_id;
+  var channel = this._channels[id];
+  if (!channel) {
+    return;
+  }
+  delete this._channels[id];
+  channel.links.forEach(function(link) {
+    this._linkChanged(link, [], [id], payload);
+  }, this);
+  this.emit('channelRemoved', channel, payload);
+};
+
+State.prototype._userState = function(payload) {
+  var session = payload.session;
+  var user = this._users[session];
+  var created = !user;
+  if (created) {
+    user = this._users[session] = {
+      session: session,
+      // Omitted by the server for users in the root channel
+      channel_id: 0,
+      listening_channels: [],
+      listening_volume_adjustment: {}
+    };
+  }
+
+  var changes = merge(user, payload, USER_SPECIAL, {});
+  var listening = user.listening_channels;
+  var added = (payload.listening_channel_add || []).filter(function(id) {
+    return listening.indexOf(id) < 0;
+  });
+  var removed = (payload.listening_channel_remove || []).filter(function(id) {
+    return listening.indexOf(id) >= 0;
+  });
+  if (added.length || removed.length) {
+    changes.listening_channels = {
+      before: listening,
+      after: update(listening, added, removed)
+    };
+    user.listening_channels = changes.listening_channels.after;
+  }
+  var volumes = user.listening_volume_adjustment;
+  var volumesChanged = false;
+  var newVolumes = {};
+  Object.keys(volumes).forEach(function(id) {
+    newVolumes[id] = volumes[id];
+  });
+  (payload.listening_volume_adjustment || []).forEach(function(adjustment) {
+    if (newVolumes[adjustment.listening_channel] !== adjustment.volume_adjustment) {
+      newVolumes[adjustment.listening_channel] = adjustment.volume_adjustment;
+      volumesChanged = true;
+    }
+  });
+  if (volumesChanged) {
+    changes.listening_volume_adjustment = { before: volumes, after: newVolumes };
+    user.listening_volume_adjustment = newVolumes;
+  }
+
+  if (created) {
+    this.emit('userCreated', user);
+  } else if (Object.keys(changes).length) {
+    this.emit('userChanged', user, changes, payload);
+  }
+};
+
+State.prototype._userRemove = function(payload) {
+  var user = this._users[payload.session];
+  if (!user) {
+    return;
+  }
+  delete this._users[payload.session];
+  this.emit('userRemoved', user, payload);
+};
+
+State.prototype._serverSync = function(payload) {
+  this._session = payload.session;
+  this._synced = true;
+  this.emit('synced', this.getSelf(), payload);
+};
+
+/**
+ * Copies all present fields of the payload into the target.
+ *
+ * @param {object} target - The channel or user
+ * @param {object} payload - The decoded message
+ * @param {string[]} skip - Fields which should not be copied
+ * @param {object} defaults - Default values of fields which are treated as
+ *   absent
+ * @return {Changes} The changed fields.
+ */
+function merge(target, payload, skip, defaults) {
+  var changes = {};
+  Object.keys(payload).forEach(function(key) {
+    var value = payload[key];
+    if (value === null || value === undefined || skip.indexOf(key) >= 0
+        || defaults[key] === value) {
+      return;
+    }
+    if (typeof value.toBuffer === 'function') {
+      // bytes fields are decoded as ByteBuffer
+      value = value.toBuffer();
+      // toBuffer returns an ArrayBuffer when called in the browser
+      if (!Buffer.isBuffer(value)) {
+        value = Buffer.from(value);
+      }
+    }
+    var before = target[key];
+    var equal = Buffer.isBuffer(value) && Buffer.isBuffer(before)
+      ? value.equals(before) : value === before;
+    if (!equal) {
+      changes[key] = { before: before, after: value };
+      target[key] = value;
+    }
+  });
+  return changes;
+}
+
+/**
+ * @param {Array} list - The original list
+ * @param {Array} added - Elements to be added
+ * @param {Array} removed - Elements to be removed
+ * @return {Array} A new list with the elements added and removed.
+ */
+function update(list, added, removed) {
+  return list.filter(function(element) {
+    return removed.indexOf(element) < 0;
+  }).concat(added.filter(function(element) {
+    return list.indexOf(element) < 0;
+  }));
+}
+
+function values(object) {
+  return Object.keys(object).map(function(key) {
+    return object[key];
+  });
+}
+
+module.exports = State;
@@ -0,0 +1,157 @@
+var COUNTERS = ['good', 'late', 'lost', 'resync', 'udpPackets', 'tcpPackets'];
+
+/**
+ * Packet counters.
+ *
+ * @typedef {object} Counters
+ * @property {number} good - The amount of good packets received
+ * @property {number} late - The amount of late packets received
+ * @property {number} lost - The amount of packets never received
+ * @property {number} resync - The amount of nonce resyncs
+ * @property {number} udpPackets - The amount of UDP packets received
+ * @property {number} tcpPackets - The amount of TCP packets received
+ */
+
+/**
+ * Network statistics of one connection.
+ * The counters ({@link Counters}) are public properties holding the totals
+ * since creation and may be incremented directly (e.g. by {@link UdpCrypt}).
+ * Values for the last {@link Stats#getWindow window} are computed from samples
+ * which are taken whenever the window is queried or {@link Stats#sample} is
+ * called, so either of them should be called every few seconds.
+ *
+ * @constructor
+ * @constructs Stats
+ * @param {object} [options]
+ * @param {number} [options.window=60000] - Length of the window in
+ *   milliseconds
+ */
+function Stats(options) {
+  // Allow use without new
+  if (!(this instanceof Stats)) return new Stats(options);
+
+  options = options || {};
+  this._window = options.window !== undefined ? options.window : 60000;
+
+  for (var i = 0; i < COUNTERS.length; i++) {
+    this[COUNTERS[i]] = 0;
+  }
+  this.udpPingAvg = 0;
+  this.udpPingVar = 0;
+  this.tcpPingAvg = 0;
+  this.tcpPingVar = 0;
+
+  this._samples = [];
+  this.sample();
+}
+
+/**
+ * Initializes all missing counters of the given object to zero.
+ *
+ * @param {object} stats - Object to be used as statistics
+ * @return {object} The same object.
+ */
+Stats.init = function(stats) {
+  for (var i = 0; i < COUNTERS.length; i++) {
+    if (typeof stats[COUNTERS[i]] !== 'number') {
+      stats[COUNTERS[i]] = 0;
+    }
+  }
+  return stats;
+};
+
+/**
+ * @return {Counters} The current totals.
+ */
+Stats.prototype.getTotal = function() {
+  return this._counters(Date.now());
+};
+
+/**
+ * Takes a sample of the current totals and drops samples which are no longer
+ * needed.
+ */
+Stats.prototype.sample = function() {
+  var now = Date.now();
+  var samples = this._samples;
+  var sample = this._counters(now);
+  if (samples.length > 1 && now - samples[samples.length - 2].time < 1000) {
+    // Limit to about one sample per second
+    samples[samples.length - 1] = sample;
+  } else {
+    samples.push(sample);
+  }
+  // Keep the newest sample which is at least one window old as baseline
+  var start = now - this._window;
+  while (samples.length > 1 && samples[1].time <= start) {
+    samples.shift();
+  }
+};
+
+/**
+ * Returns the counters for the last window.
+ * If the stats are younger than the window (or no sample has been taken for
+ * longer than the window), the returned counters cover a different duration
+ * which is given by the additional time property.
+ *
+ * @return {Counters} Counters accumulated during the last window.
+ */
+Stats.prototype.getWindow = function() {
+  this.sample();
+  var baseline = this._samples[0];
+  var current = this._samples[this._samples.length - 1];
+  var result = { time: current.time - baseline.time };
+  for (var i = 0; i < COUNTERS.length; i++) {
+    result[COUNTERS[i]] = current[COUNTERS[i]] - baseline[COUNTERS[i]];
+  }
+  return result;
+};
+
+/**
+ * Creates the payload for a Ping message reporting these stats.
+ *
+ * @param {number} [timestamp] - Timestamp of the Ping message
+ * @return {object} The Ping message payload.
+ */
+Stats.prototype.toPing = function(timestamp) {
+  this.sample();
+  return {
+    timestamp: timestamp,
+    good: this.good,
+    late: this.late,
+    lost: this.lost,
+    resync: this.resync,
+    udp_packets: this.udpPackets,
+    tcp_packets: this.tcpPackets,
+    udp_ping_avg: this.udpPingAvg,
+    udp_ping_var: this.udpPingVar,
+    tcp_ping_avg: this.tcpPingAvg,
+    tcp_ping_var: this.tcpPingVar
+  };
+};
+
+/**
+ * Creates the payload for the packet statistics of a UserStats message.
+ *
+ * @param {boolean} [windowed=false] - Whether to only include the last window
+ * @return {object} The UserStats.Stats payload.
+ */
+Stats.prototype.toUserStats = function(windowed) {
+  var counters = windowed ? this.getWindow() : this.getTotal();
+  return {
+    good: counters.good,
+    late: counters.late,
+    lost: counters.lost,
+    resync: counters.resync
+  };
+};
+
+Stats.prototype._counters = function(time) {
+  var counters = { time: time };
+  for (var i = 0; i < COUNTERS.length; i++) {
+    counters[COUNTERS[i]] = this[COUNTERS[i]];
+  }
+  return counters;
+};
+
+module.exports = Stats;
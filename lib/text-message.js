@@ -0,0 +1,560 @@
+var exceededLimit = require('./data.js').exceededLimit;
+
+// Tags kept by sanitize() with their allowed attributes
+var ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], sub: [], sup: [],
+  small: [], big: [], code: [], pre: [], tt: [], blockquote: [],
+  p: ['align'], div: ['align'], span: [], br: [], hr: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [],
+  table: ['border', 'cellspacing', 'cellpadding'], tr: [],
+  td: ['colspan', 'rowspan', 'align'], th: ['colspan', 'rowspan', 'align'],
+  font: ['color', 'size'],
+  img: ['src', 'alt', 'width', 'height']
+};
+// Tags without closing tag
+var VOID_TAGS = ['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area',
+                 'base', 'wbr'];
+// Tags whose content is not text
+var HIDDEN_TAGS = ['head', 'title', 'style', 'script', 'template', 'object',
+                   'iframe', 'noscript'];
+// Tags which start a new line in plain text
+var BLOCK_TAGS = ['p', 'div', 'br', 'hr', 'li', 'tr', 'pre', 'blockquote',
+                  'table', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+var LINK_SCHEMES = /^(https?|ftp|mailto|mumble):/i;
+var IMAGE_TYPE = /^image\/[\w.+-]+$/;
+
+var ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0'
+};
+
+/**
+ * Escapes text for use in HTML.
+ * Line breaks are converted to <br> tags.
+ *
+ * @param {string} text - The plain text
+ * @return {string} The HTML.
+ */
+function escape(text) {
+  return text.replace(/[&<>"\n]/g, escapeChar);
+}
+
+function escapeChar(c) {
+  switch (c) {
+    case '&': return '&amp;';
+    case '<': return '&lt;';
+    case '>': return '&gt;';
+    case '"': return '&quot;';
+    case '\n': return '<br>';
+  }
+  return c;
+}
+
+function unescape(html) {
+  return html.replace(/&(#[0-9]+|#x[0-9a-f]+|[a-z]+);/gi, function(entity, name) {
+    if (name[0] == '#') {
+      var code = name[1] == 'x' || name[1] == 'X' ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    name = name.toLowerCase();
+    return ENTITIES.hasOwnProperty(name) ? ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Splits HTML into text, tag and comment tokens.
+ *
+ * @param {string} html - The HTML
+ * @return {object[]} The tokens, text tokens with their unescaped text, tags
+ *   with their lowercase name, attributes and whether they are closing tags.
+ */
+function tokenize(html) {
+  var tokens = [];
+  var pattern = /<!--[\s\S]*?(?:-->|$)|<!\w[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  var offset = 0;
+  var match;
+  while ((match = pattern.exec(html))) {
+    if (match.index > offset) {
+      tokens.push({ text: unescape(html.slice(offset, match.index)) });
+    }
+    offset = pattern.lastIndex;
+    if (!match[2]) {
+      continue; // Comment or doctype
+    }
+    tokens.push({
+      tag: match[2].toLowerCase(),
+      closing: !!match[1],
+      attributes: parseAttributes(match[3])
+    });
+  }
+  if (offset < html.length) {
+    tokens.push({ text: unescape(html.slice(offset)) });
+  }
+  return tokens;
+}
+
+function parseAttributes(source) {
+  var attributes = {};
+  var pattern = /([^\s=\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g;
+  var match;
+  while ((match = pattern.exec(source))) {
+    var name = match[1].toLowerCase();
+    if (!attributes.hasOwnProperty(name)) {
+      var value = match[2] !== undefined ? match[2]
+        : match[3] !== undefined ? match[3] : match[4] || '';
+      attributes[name] = unescape(value);
+    }
+  }
+  return attributes;
+}
+
+function allowedAttribute(tag, name, value) {
+  if (ALLOWED_TAGS[tag].indexOf(name) < 0) {
+    return false;
+  }
+  if (name == 'href') {
+    return LINK_SCHEMES.test(value.trim());
+  }
+  if (name == 'src') {
+    return /^data:image\/[\w.+-]+;base64,/i.test(value.trim());
+  }
+  return true;
+}
+
+/**
+ * Removes everything but basic formatting, links and embedded images from
+ * HTML. Links are limited to common schemes and images to data URIs, as
+ * Mumble clients do not load remote images.
+ *
+ * @param {string} html - The untrusted HTML
+ * @return {string} The sanitized HTML.
+ */
+function sanitize(html) {
+  var result = '';
+  var open = [];
+  var hidden = 0;
+  tokenize(html).forEach(function(token) {
+    if (!token.tag) {
+      if (!hidden) {
+        result += token.text.replace(/[&<>"]/g, escapeChar);
+      }
+      return;
+    }
+    var tag = token.tag;
+    if (HIDDEN_TAGS.indexOf(tag) >= 0) {
+      hidden = Math.max(0, hidden + (token.closing ? -1 : 1));
+      return;
+    }
+    if (hidden || !ALLOWED_TAGS.hasOwnProperty(tag)) {
+      return;
+    }
+    if (token.closing) {
+      var index = open.lastIndexOf(tag);
+      if (index >= 0) {
+        // Also close all tags opened in between
+        open.splice(index).reverse().forEach(function(tag) {
+          result += '</' + tag + '>';
+        });
+      }
+      return;
+    }
+    var attributes = '';
+    Object.keys(token.attributes).forEach(function(name) {
+      var value = token.attributes[name];
+      if (allowedAttribute(tag, name, value)) {
+        attributes += ' ' + name + '="' + value.replace(/[&<>"]/g, escapeChar)
+          + '"';
+      }
+    });
+    if (tag == 'img' && !/ src=/.test(attributes)) {
+      return;
+    }
+    result += '<' + tag + attributes + '>';
+    if (VOID_TAGS.indexOf(tag) < 0) {
+      open.push(tag);
+    }
+  });
+  open.reverse().forEach(function(tag) {
+    result += '</' + tag + '>';
+  });
+  return result;
+}
+
+/**
+ * A link found by {@link parse}.
+ *
+ * @typedef {object} TextLink
+ * @property {string} href - Target of the link
+ * @property {string} text - Text of the link
+ */
+
+/**
+ * An image found by {@link parse}.
+ *
+ * @typedef {object} TextImage
+ * @property {string} src - Source of the image
+ * @property {?string} alt - Alternative text
+ * @property {?string} type - MIME type if the source is a data URI
+ * @property {?Buffer} data - Content if the source is a data URI
+ */
+
+/**
+ * Converts the HTML of a received TextMessage into plain text.
+ *
+ * @param {string} html - The message
+ * @return {{text: string, links: TextLink[], images: TextImage[]}} The text,
+ *   the links and the images of the message.
+ */
+function parse(html) {
+  var text = '';
+  var links = [];
+  var images = [];
+  var link = null;
+  var hidden = 0;
+  var pre = 0;
+  var newline = function() {
+    text = text.replace(/[ \t]+$/, '');
+    if (text && text[text.length - 1] != '\n') {
+      text += '\n';
+    }
+  };
+  tokenize(html).forEach(function(token) {
+    if (!token.tag) {
+      if (hidden) {
+        return;
+      }
+      var content = token.text;
+      if (!pre) {
+        content = content.replace(/[ \t\r\n\f]+/g, ' ');
+        if (!text || /[ \n]$/.test(text)) {
+          content = content.replace(/^ /, '');
+        }
+      }
+      text += content;
+      if (link) {
+        link.text += content;
+      }
+      return;
+    }
+    var tag = token.tag;
+    if (HIDDEN_TAGS.indexOf(tag) >= 0) {
+      hidden = Math.max(0, hidden + (token.closing ? -1 : 1));
+      return;
+    }
+    if (hidden) {
+      return;
+    }
+    if (tag == 'pre') {
+      pre = Math.max(0, pre + (token.closing ? -1 : 1));
+    }
+    if (tag == 'br') {
+      text += '\n';
+    } else if (BLOCK_TAGS.indexOf(tag) >= 0) {
+      newline();
+    }
+    if (tag == 'a') {
+      if (link) {
+        link.text = link.text.trim();
+        link = null;
+      }
+      if (!token.closing && token.attributes.href) {
+        link = { href: token.attributes.href, text: '' };
+        links.push(link);
+      }
+    } else if (tag == 'img' && !token.closing && token.attributes.src) {
+      images.push(parseImage(token.attributes));
+    }
+  });
+  if (link) {
+    link.text = link.text.trim();
+  }
+  return {
+    text: text.replace(/\u00a0/g, ' ').replace(/[ \t]+\n/g, '\n').trim(),
+    links: links,
+    images: images
+  };
+}
+
+function parseImage(attributes) {
+  var image = {
+    src: attributes.src,
+    alt: attributes.alt !== undefined ? attributes.alt : null,
+    type: null,
+    data: null
+  };
+  var match = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/i.exec(image.src.trim());
+  if (match) {
+    image.type = match[1].toLowerCase() || 'text/plain';
+    if (/;base64$/i.test(match[2])) {
+      image.data = Buffer.from(match[3], 'base64');
+    } else {
+      try {
+        image.data = Buffer.from(decodeURIComponent(match[3]), 'utf8');
+      } catch (e) {
+        // Malformed percent-encoding, data stays null
+      }
+    }
+  }
+  return image;
+}
+
+/**
+ * Recipients of a text message. At least one has to be given.
+ *
+ * @typedef {object} TextTarget
+ * @property {number|number[]} [users] - Session IDs of the users
+ * @property {number|number[]} [channels] - Ids of the channels
+ * @property {number|number[]} [trees] - Ids of the channels whose sub channels
+ *   receive the message as well
+ */
+
+/**
+ * An image to be embedded into a text message.
+ *
+ * @typedef {object} ImageAttachment
+ * @property {Buffer} data - The image file
+ * @property {string} type - MIME type of the image, e.g. 'image/png'
+ * @property {string} [alt] - Alternative text
+ */
+
+/**
+ * Composes TextMessage messages which are accepted by the server.
+ * HTML is sanitized if the server allows HTML and converted into plain text
+ * otherwise, plain text is escaped if necessary. Messages exceeding the
+ * maximum length are split at line breaks or spaces, or rejected with a
+ * RangeError if splitting is disabled or not possible. Images are sent as
+ * separate messages.
+ * The settings of the server are taken from ServerConfig messages passed to
+ * {@link TextComposer#handleMessage}.
+ *
+ * @constructor
+ * @constructs TextComposer
+ * @param {Connection|Encoder} encoder - Where TextMessage messages are written
+ *   to
+ * @param {object} [options]
+ * @param {boolean} [options.allowHtml=true] - Whether the server allows HTML
+ * @param {number} [options.messageLength=0] - Maximum length of text messages
+ *   without the data of their images, 0 for no limit
+ * @param {number} [options.imageMessageLength=0] - Maximum length of text
+ *   messages including images, 0 for no limit
+ * @param {boolean} [options.split=true] - Whether to split messages exceeding
+ *   the maximum length
+ */
+function TextComposer(encoder, options) {
+  // Allow use without new
+  if (!(this instanceof TextComposer)) return new TextComposer(encoder, options);
+
+  options = options || {};
+  this._encoder = encoder;
+  this._allowHtml = options.allowHtml !== false;
+  this._messageLength = options.messageLength || 0;
+  this._imageMessageLength = options.imageMessageLength || 0;
+  this._split = options.split !== false;
+}
+
+/**
+ * Applies ServerConfig messages.
+ *
+ * @param {Message} message - The decoded message
+ * @return {boolean} Whether the message was a ServerConfig message.
+ */
+TextComposer.prototype.handleMessage = function(message) {
+  if (message.name != 'ServerConfig') {
+    return false;
+  }
+  this.setServerConfig(message.payload);
+  return true;
+};
+
+/**
+ * Applies the settings of the given ServerConfig message.
+ *
+ * @param {object} config - Payload of the ServerConfig message
+ */
+TextComposer.prototype.setServerConfig = function(config) {
+  if (typeof config.allow_html === 'boolean') {
+    this._allowHtml = config.allow_html;
+  }
+  if (typeof config.message_length === 'number') {
+    this._messageLength = config.message_length;
+  }
+  if (typeof config.image_message_length === 'number') {
+    this._imageMessageLength = config.image_message_length;
+  }
+};
+
+/**
+ * Composes the payloads of the TextMessage messages for a message.
+ *
+ * @param {TextTarget} target - The recipients
+ * @param {string} text - The message, plain text unless options.html is set
+ * @param {object} [options]
+ * @param {boolean} [options.html=false] - Whether text is HTML
+ * @param {ImageAttachment[]} [options.images] - Images to be sent along
+ * @return {object[]} The payloads of the TextMessage messages.
+ * @throws {RangeError} If the message exceeds the maximum length of the
+ *   server and can not be split.
+ */
+TextComposer.prototype.compose = function(target, text, options) {
+  options = options || {};
+  var recipients = {
+    session: toArray(target.users),
+    channel_id: toArray(target.channels),
+    tree_id: toArray(target.trees)
+  };
+  if (!recipients.session.length && !recipients.channel_id.length
+      && !recipients.tree_id.length) {
+    throw new TypeError('Text message has no recipients');
+  }
+  var images = options.images || [];
+  if (images.length && !this._allowHtml) {
+    throw new Error('Server does not allow HTML, images can not be sent');
+  }
+
+  var messages = [];
+  if (options.html && this._allowHtml) {
+    messages.push(this._checkLength(sanitize(text)));
+  } else {
+    if (options.html) {
+      text = parse(text).text;
+    }
+    if (text || !images.length) {
+      messages = this._splitText(text);
+    }
+  }
+  messages = messages.concat(images.map(function(image) {
+    if (!Buffer.isBuffer(image.data) || !IMAGE_TYPE.test(image.type)) {
+      throw new TypeError('Invalid image, expected data Buffer and image type');
+    }
+    var html = '<img src="data:' + image.type + ';base64,'
+      + image.data.toString('base64') + '"';
+    if (image.alt) {
+      html += ' alt="' + image.alt.replace(/[&<>"\n]/g, escapeChar) + '"';
+    }
+    return this._checkLength(html + '>');
+  }, this));
+
+  return messages.map(function(message) {
+    return {
+      session: recipients.session,
+      channel_id: recipients.channel_id,
+      tree_id: recipients.tree_id,
+      message: message
+    };
+  });
+};
+
+/**
+ * Composes and sends a message.
+ *
+ * @param {TextTarget} target - The recipients
+ * @param {string} text - The message, plain text unless options.html is set
+ * @param {object} [options] - See {@link TextComposer#compose}
+ * @return {object[]} The payloads of the sent TextMessage messages.
+ * @throws {RangeError} If the message exceeds the maximum length of the
+ *   server and can not be split.
+ */
+TextComposer.prototype.send = function(target, text, options) {
+  var payloads = this.compose(target, text, options);
+  payloads.forEach(function(payload) {
+    this._encoder.write({ name: 'TextMessage', payload: payload });
+  }, this);
+  return payloads;
+};
+
+/**
+ * @return {number} The maximum length of messages without images, 0 for no
+ *   limit.
+ */
+TextComposer.prototype._limit = function() {
+  var limits = [this._messageLength, this._imageMessageLength]
+    .filter(function(limit) {
+      return limit > 0;
+    });
+  return limits.length ? Math.min.apply(Math, limits) : 0;
+};
+
+TextComposer.prototype._checkLength = function(message) {
+  var limit = exceededLimit(message, this._messageLength,
+                            this._imageMessageLength);
+  if (limit > 0) {
+    throw new RangeError('Text message exceeds maximum length of ' + limit);
+  }
+  return message;
+};
+
+/**
+ * Converts plain text into messages, split if exceeding the maximum length.
+ *
+ * @param {string} text - The plain text
+ * @return {string[]} The messages.
+ */
+TextComposer.prototype._splitText = function(text) {
+  // Without HTML support, the server only interprets messages containing '<'
+  var html = this._allowHtml || text.indexOf('<') >= 0;
+  var encode = html ? escape : function(text) {
+    return text;
+  };
+  var message = encode(text);
+  var limit = this._limit();
+  if (limit <= 0 || message.length <= limit) {
+    return [message];
+  }
+  if (!this._split) {
+    this._checkLength(message);
+  }
+
+  var messages = [];
+  var chars = Array.from(text); // Do not split surrogate pairs
+  while (chars.length) {
+    var length = 0;
+    var end = 0;
+    var breakAt = -1;
+    while (end < chars.length) {
+      var size = encode(chars[end]).length;
+      if (length + size > limit) {
+        break;
+      }
+      length += size;
+      if (/\s/.test(chars[end])) {
+        breakAt = end;
+      }
+      end++;
+    }
+    if (end === 0) {
+      throw new RangeError('Text message exceeds maximum length of ' + limit);
+    }
+    if (end < chars.length && !/\s/.test(chars[end]) && breakAt > 0) {
+      end = breakAt;
+    }
+    var part = chars.slice(0, end).join('');
+    // The whitespace at the split is dropped
+    chars = chars.slice(end < chars.length && /\s/.test(chars[end]) ? end + 1
+                        : end);
+    if (part.trim()) {
+      messages.push(encode(part));
+    }
+  }
+  return messages;
+};
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  TextComposer: TextComposer,
+  escape: escape,
+  sanitize: sanitize,
+  parse: parse
+};
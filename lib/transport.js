@@ -0,0 +1,175 @@
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    voice = require('./voice.js'),
+    Pinger = require('./pinger.js');
+
+/**
+ * Selects the transport for voice data sent to a Mumble server.
+ * Audio channel pings are sent periodically over UDP by a {@link Pinger}
+ * which measures their round trip time. Voice is sent over UDP as long as
+ * these pings are answered and tunneled through the TCP connection
+ * otherwise.
+ * Emits 'transport' with the new transport ('udp' or 'tcp') whenever it
+ * changes and 'voice' for {@link VoiceData} received over either transport.
+ * Packets which could not be decrypted are dropped and a 'reject' event is
+ * emitted with the {@link RejectReason reason}.
+ *
+ * @constructor
+ * @constructs Transport
+ * @param {Connection} connection - The connection to the server
+ * @param {dgram.Socket} socket - The UDP socket
+ * @param {UdpCrypt} block - The block cipher set up for this connection,
+ *   should write into the {@link Connection#getStats stats of the connection}
+ * @param {object} options
+ * @param {string} options.host - Address of the server
+ * @param {number} options.port - UDP port of the server
+ * @param {number} [options.pingInterval=5000] - Time in milliseconds between
+ *   two UDP pings
+ * @param {number} [options.timeout=15000] - Time in milliseconds after the
+ *   last answered ping before falling back to TCP
+ * @param {CryptSetup} [options.cryptSetup] - Receives the outcome of all
+ *   decryption attempts in order to request resyncs
+ */
+function Transport(connection, socket, block, options) {
+  // Allow use without new
+  if (!(this instanceof Transport)) {
+    return new Transport(connection, socket, block, options);
+  }
+
+  if (connection.getRemote() != 'server') {
+    throw new TypeError('Transport is only available for connections to servers');
+  }
+
+  EventEmitter.call(this);
+
+  this._connection = connection;
+  this._socket = socket;
+  this._block = block;
+  this._host = options.host;
+  this._port = options.port;
+  this._timeout = options.timeout !== undefined ? options.timeout : 15000;
+  this._cryptSetup = options.cryptSetup || null;
+  this._transport = 'tcp';
+  this._pinger = new Pinger('udp', function(timestamp) {
+    this._write({ timestamp: timestamp });
+  }.bind(this), {
+    stats: connection.getStats(),
+    timeout: this._timeout
+  });
+  this._pinger.on('pong', this._setTransport.bind(this, 'udp'));
+
+  this._voiceEncoder = new voice.Encoder('server');
+  this._voiceDecoder = new voice.Decoder('server');
+  this._voiceEncoder.on('data', this._sendDatagram.bind(this));
+  this._voiceDecoder.on('data', this._onPacket.bind(this));
+  this._voiceEncoder.on('error', this.emit.bind(this, 'error'));
+  this._voiceDecoder.on('error', this.emit.bind(this, 'error'));
+
+  this._onMessage = this._onMessage.bind(this);
+  this._onVoice = this.emit.bind(this, 'voice');
+  this.close = this.close.bind(this);
+  socket.on('message', this._onMessage);
+  connection.on('voice', this._onVoice);
+  connection.on('close', this.close);
+
+  var pingInterval = options.pingInterval !== undefined
+    ? options.pingInterval : 5000;
+  this._pingTimer = setInterval(this._ping.bind(this), pingInterval);
+  this._ping();
+}
+util.inherits(Transport, EventEmitter);
+
+/**
+ * @return {('udp'|'tcp')} The transport currently used for voice.
+ */
+Transport.prototype.getTransport = function() {
+  return this._transport;
+};
+
+/**
+ * @return {Pinger} Measures the round trip time of the UDP pings.
+ */
+Transport.prototype.getPinger = function() {
+  return this._pinger;
+};
+
+/**
+ * Sends voice data over the current transport.
+ *
+ * @param {VoiceData} packet - The voice packet
+ */
+Transport.prototype.sendVoice = function(packet) {
+  if (this._transport == 'udp') {
+    this._write(packet);
+  } else {
+    this._connection.sendVoice(packet);
+  }
+};
+
+/**
+ * Stops sending pings and detaches from the connection and socket.
+ * Neither the connection nor the socket are closed.
+ */
+Transport.prototype.close = function() {
+  clearInterval(this._pingTimer);
+  this._socket.removeListener('message', this._onMessage);
+  this._connection.removeListener('voice', this._onVoice);
+  this._connection.removeListener('close', this.close);
+  this._setTransport('tcp');
+};
+
+Transport.prototype._ping = function() {
+  var lastPong = this._pinger.getLastPong();
+  if (this._transport == 'udp' && Date.now() - lastPong > this._timeout) {
+    this._setTransport('tcp');
+  }
+  if (!this._block.ready()) {
+    return; // Crypt setup still pending
+  }
+  this._pinger.ping();
+};
+
+Transport.prototype._write = function(packet) {
+  // The format has been negotiated by the connection
+  this._voiceEncoder.setFormat(this._connection.getVoiceFormat());
+  this._voiceEncoder.write(packet);
+};
+
+Transport.prototype._sendDatagram = function(plainText) {
+  var cipherText = this._block.encrypt(plainText);
+  this._socket.send(cipherText, 0, cipherText.length, this._port, this._host);
+};
+
+Transport.prototype._onMessage = function(cipherText) {
+  if (!this._block.ready()) {
+    return;
+  }
+  var plainText = this._block.decrypt(cipherText);
+  if (this._cryptSetup) {
+    this._cryptSetup.handleDecrypt(plainText !== null);
+  }
+  if (plainText === null) {
+    this.emit('reject', this._block.getRejectReason(), cipherText);
+    return;
+  }
+  this._connection.getStats().udpPackets++;
+  this._voiceDecoder.setFormat(this._connection.getVoiceFormat());
+  this._voiceDecoder.write(plainText);
+};
+
+Transport.prototype._onPacket = function(packet) {
+  if (packet.timestamp === undefined) {
+    this.emit('voice', packet);
+    return;
+  }
+  this._pinger.handlePong(packet.timestamp);
+};
+
+Transport.prototype._setTransport = function(transport) {
+  if (this._transport != transport) {
+    this._transport = transport;
+    this.emit('transport', transport);
+  }
+};
+
+module.exports = Transport;
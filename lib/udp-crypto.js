@@ -8,18 +8,41 @@
 // that can be found in the LICENSE file at the root of the
 // Mumble source tree or at <https://www.mumble.info/LICENSE>.
 
-var crypto = require('crypto');
+var crypto = require('crypto'),
+    Stats = require('./stats.js');
 
 var BLOCK_SIZE = 16;
 
+/**
+ * Reason for which a packet has been rejected by {@link UdpCrypt#decrypt}.
+ * 'short' if the packet is too short to contain the crypt header,
+ * 'replay' if the packet has already been received,
+ * 'late' if the packet arrived too late (outside of the replay window),
+ * 'tag' if the authentication tag does not match,
+ * 'notReady' if the key has not been set up yet (only used by the streams).
+ *
+ * @typedef {('short'|'replay'|'late'|'tag'|'notReady')} RejectReason
+ */
+
+/**
+ * @constructor
+ * @param {Stats|object} [stats] - Object into which network statistics are
+ *   written, missing counters are initialized to zero
+ */
 function UdpCrypt(stats) {
   this._decryptHistory = new Array(100);
-  this._stats = stats || {};
+  this._stats = stats ? Stats.init(stats) : new Stats();
+  this._rejectReason = null;
 }
 
 UdpCrypt.prototype.getKey = function() { return this._key; };
 UdpCrypt.prototype.getDecryptIV = function() { return this._decryptIV; };
 UdpCrypt.prototype.getEncryptIV = function() { return this._encryptIV; };
+UdpCrypt.prototype.getStats = function() { return this._stats; };
+/**
+ * @return {?RejectReason} Why the last call to decrypt returned null.
+ */
+UdpCrypt.prototype.getRejectReason = function() { return this._rejectReason; };
 UdpCrypt.prototype.ready = function() {
   return this._key && this._decryptIV && this._encryptIV;
 };
@@ -48,7 +71,7 @@ UdpCrypt.prototype.setEncryptIV = function(encryptIV) {
 UdpCrypt.prototype.generateKey = function(callback) {
   crypto.randomBytes(BLOCK_SIZE * 3, function(err, buf) {
     if (err) {
-      callback(err);
+      return callback(err);
     }
 
     this._key = buf.slice(0, BLOCK_SIZE);
@@ -82,8 +105,9 @@ UdpCrypt.prototype.encrypt = function(plainText) {
 };
 
 UdpCrypt.prototype.decrypt = function(cipherText) {
+  this._rejectReason = null;
   if (cipherText.length < 4) {
-    return null;
+    return this._reject('short');
   }
 
   var saveiv = Buffer.from(this._decryptIV);
@@ -101,13 +125,13 @@ UdpCrypt.prototype.decrypt = function(cipherText) {
       this._decryptIV[0] = ivbyte;
       for (i = 1; i < BLOCK_SIZE; i++) {
         if (++this._decryptIV[i] == 256) {
-          this._encryptIV[i] = 0;
+          this._decryptIV[i] = 0;
         } else {
           break;
         }
       }
     } else {
-      return null;
+      return this._reject('replay');
     }
   } else {
     // This is either out of order or a repeat.
@@ -130,10 +154,8 @@ UdpCrypt.prototype.decrypt = function(cipherText) {
       late++;
       lost--;
       this._decryptIV[0] = ivbyte;
-      for (i = 0; i < BLOCK_SIZE; i++) {
-        if (this._decryptIV[i]-- == -1) {
-          this._decryptIV[i] = 255;
-        } else {
+      for (i = 1; i < BLOCK_SIZE; i++) {
+        if (this._decryptIV[i]-- !== 0) {
           break;
         }
       }
@@ -146,20 +168,20 @@ UdpCrypt.prototype.decrypt = function(cipherText) {
       // Lost a few packets, and wrapped around
       lost += 256 - this._decryptIV[0] + ivbyte - 1;
       this._decryptIV[0] = ivbyte;
-      for (i = 0; i < BLOCK_SIZE; i++) {
+      for (i = 1; i < BLOCK_SIZE; i++) {
         if (++this._decryptIV[i] == 256) {
-          this._encryptIV[i] = 0;
+          this._decryptIV[i] = 0;
         } else {
           break;
         }
       }
     } else {
-      return null;
+      return this._reject(diff === 0 ? 'replay' : 'late');
     }
 
     if (this._decryptHistory[this._decryptIV[0]] == this._decryptIV[1]) {
       this._decryptIV = saveiv;
-      return null;
+      return this._reject('replay');
     }
   }
 
@@ -174,7 +196,7 @@ UdpCrypt.prototype.decrypt = function(cipherText) {
 
   if (tag.compare(cipherText, 1, 4, 0, 3) !== 0) {
     this._decryptIV = saveiv;
-    return null;
+    return this._reject('tag');
   }
   this._decryptHistory[this._decryptIV[0]] = this._decryptIV[1];
 
@@ -188,6 +210,11 @@ UdpCrypt.prototype.decrypt = function(cipherText) {
   return plainText;
 };
 
+UdpCrypt.prototype._reject = function(reason) {
+  this._rejectReason = reason;
+  return null;
+};
+
 function ocbEncrypt(plainText, cipherText, nonce, aesEncrypt) {
   var checksum = new Buffer(BLOCK_SIZE);
   var tmp = new Buffer(BLOCK_SIZE);
@@ -293,35 +320,34 @@ function ZERO(block) {
 // End of port
 
 var util = require('util'),
+    Duplex = require('stream').Duplex,
     Transform = require('stream').Transform;
 
-module.exports = UdpCrypt;
-module.exports.BLOCK_SIZE = BLOCK_SIZE;
-module.exports.ocbEncrypt = ocbEncrypt;
-module.exports.ocbDecrypt = ocbDecrypt;
-
-/**
- * @typedef {object} States
- */
-
 /**
  * Transform stream for encrypting Mumble UDP packets.
+ * Packets written before the key has been set up are dropped and a 'reject'
+ * event is emitted with the reason 'notReady' and the dropped packet.
  *
  * @constructor
  * @constructs Encrypt
- * @param {Stats} [stats] - Object into which network statistics are written
+ * @param {UdpCrypt|Stats} [block] - Block cipher to use or object into which
+ *   network statistics are written if a new one should be created
  */
-function Encrypt(stats) {
+function Encrypt(block) {
   // Allow use without new
-  if (!(this instanceof Encrypt)) return new Encrypt(dest);
+  if (!(this instanceof Encrypt)) return new Encrypt(block);
 
   Transform.call(this, {});
-  
-  this._block = new UdpCrypt(stats);
-} 
+
+  this._block = block instanceof UdpCrypt ? block : new UdpCrypt(block);
+}
 util.inherits(Encrypt, Transform);
 
 Encrypt.prototype._transform = function(chunk, encoding, callback) {
+  if (!this._block.ready()) {
+    this.emit('reject', 'notReady', chunk);
+    return callback();
+  }
   callback(null, this._block.encrypt(chunk));
 };
 
@@ -331,3 +357,109 @@ Encrypt.prototype._transform = function(chunk, encoding, callback) {
 Encrypt.prototype.getBlockCipher = function() {
   return this._block;
 };
+
+/**
+ * Transform stream for decrypting Mumble UDP packets.
+ * Packets which fail to decrypt are dropped and a 'reject' event is emitted
+ * with the {@link RejectReason reason} and the dropped packet.
+ *
+ * @constructor
+ * @constructs Decrypt
+ * @param {UdpCrypt|Stats} [block] - Block cipher to use or object into which
+ *   network statistics are written if a new one should be created
+ */
+function Decrypt(block) {
+  // Allow use without new
+  if (!(this instanceof Decrypt)) return new Decrypt(block);
+
+  Transform.call(this, {});
+
+  this._block = block instanceof UdpCrypt ? block : new UdpCrypt(block);
+}
+util.inherits(Decrypt, Transform);
+
+Decrypt.prototype._transform = function(chunk, encoding, callback) {
+  if (!this._block.ready()) {
+    this.emit('reject', 'notReady', chunk);
+    return callback();
+  }
+  var plainText = this._block.decrypt(chunk);
+  if (plainText === null) {
+    this.emit('reject', this._block.getRejectReason(), chunk);
+    return callback();
+  }
+  callback(null, plainText);
+};
+
+/**
+ * @return The underlying block cipher.
+ */
+Decrypt.prototype.getBlockCipher = Encrypt.prototype.getBlockCipher;
+
+/**
+ * Duplex stream encrypting everything written to it into the given socket and
+ * decrypting everything read from the socket.
+ * The socket has to be a duplex stream of which every chunk is one datagram.
+ * Encryption and decryption share the same {@link UdpCrypt block cipher}.
+ * Packets which could not be encrypted or decrypted are dropped and a 'reject'
+ * event is emitted with the {@link RejectReason reason} and the packet, see
+ * {@link Encrypt} and {@link Decrypt}.
+ *
+ * @constructor
+ * @constructs CryptStream
+ * @param {Duplex} socket - Stream of encrypted datagrams
+ * @param {UdpCrypt|Stats} [block] - Block cipher to use or object into which
+ *   network statistics are written if a new one should be created
+ */
+function CryptStream(socket, block) {
+  // Allow use without new
+  if (!(this instanceof CryptStream)) return new CryptStream(socket, block);
+
+  Duplex.call(this, {});
+
+  this._block = block instanceof UdpCrypt ? block : new UdpCrypt(block);
+  this._socket = socket;
+  this._encrypt = new Encrypt(this._block);
+  this._decrypt = new Decrypt(this._block);
+
+  this._encrypt.pipe(socket).pipe(this._decrypt);
+  this._decrypt.on('data', function(data) {
+    if (!this.push(data)) {
+      this._decrypt.pause();
+    }
+  }.bind(this));
+  this._decrypt.on('end', function() {
+    this.push(null);
+  }.bind(this));
+  this._encrypt.on('reject', this.emit.bind(this, 'reject'));
+  this._decrypt.on('reject', this.emit.bind(this, 'reject'));
+  this._encrypt.on('error', this.emit.bind(this, 'error'));
+  this._decrypt.on('error', this.emit.bind(this, 'error'));
+  socket.on('error', this.emit.bind(this, 'error'));
+
+  this.once('finish', function() {
+    this._encrypt.end();
+  }.bind(this));
+}
+util.inherits(CryptStream, Duplex);
+
+CryptStream.prototype._write = function(chunk, encoding, callback) {
+  this._encrypt.write(chunk, encoding, callback);
+};
+
+CryptStream.prototype._read = function() {
+  this._decrypt.resume();
+};
+
+/**
+ * @return The underlying block cipher.
+ */
+CryptStream.prototype.getBlockCipher = Encrypt.prototype.getBlockCipher;
+
+module.exports = UdpCrypt;
+module.exports.BLOCK_SIZE = BLOCK_SIZE;
+module.exports.ocbEncrypt = ocbEncrypt;
+module.exports.ocbDecrypt = ocbDecrypt;
+module.exports.Encrypt = Encrypt;
+module.exports.Decrypt = Decrypt;
+module.exports.CryptStream = CryptStream;
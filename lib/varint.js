@@ -0,0 +1,151 @@
+var Long = require('protobufjs').Long;
+
+var MAX_SAFE = Long.fromNumber(Number.MAX_SAFE_INTEGER);
+var MIN_SAFE = Long.fromNumber(Number.MIN_SAFE_INTEGER);
+
+/**
+ * Converts a Long into a number if this is possible without losing precision.
+ *
+ * @param {Long} long - The value
+ * @return {number|Long} The value as number or the Long itself.
+ */
+function normalize(long) {
+  if (long.unsigned) {
+    return long.lessThanOrEqual(MAX_SAFE) ? long.toNumber() : long;
+  }
+  return long.lessThanOrEqual(MAX_SAFE) && long.greaterThanOrEqual(MIN_SAFE)
+    ? long.toNumber() : long;
+}
+
+/**
+ * Encodes an integer as Mumble varint.
+ *
+ * @see {@link https://mumble-protocol.readthedocs.io/en/latest/voice_data.html#variable-length-integer-encoding}
+ *
+ * @param {number|Long} value - The integer, numbers beyond 2^53 have to be
+ *   passed as Long
+ * @return {Buffer} The encoded varint.
+ * @throws {TypeError} If the value is not an integer.
+ * @throws {RangeError} If the value is a number beyond 2^53.
+ */
+function encode(value) {
+  var long;
+  if (Long.isLong(value)) {
+    long = value;
+  } else if (typeof value === 'number' && value % 1 === 0) {
+    if (value > Number.MAX_SAFE_INTEGER || value < Number.MIN_SAFE_INTEGER) {
+      throw new RangeError('Integer exceeds 2^53, use a Long: ' + value);
+    }
+    long = Long.fromNumber(value);
+  } else {
+    throw new TypeError('Not an integer: ' + value);
+  }
+
+  var bytes = [];
+  if (!long.unsigned && long.isNegative()) {
+    long = long.not();
+    if (long.lessThanOrEqual(3)) {
+      return Buffer.from([0xFC | long.toInt()]);
+    }
+    bytes.push(0xF8);
+  }
+  var high = long.getHighBitsUnsigned();
+  var low = long.getLowBitsUnsigned();
+  if (high !== 0) {
+    bytes.push(0xF4,
+      high >>> 24, (high >>> 16) & 0xFF, (high >>> 8) & 0xFF, high & 0xFF,
+      low >>> 24, (low >>> 16) & 0xFF, (low >>> 8) & 0xFF, low & 0xFF);
+  } else if (low < 0x80) {
+    bytes.push(low);
+  } else if (low < 0x4000) {
+    bytes.push((low >>> 8) | 0x80, low & 0xFF);
+  } else if (low < 0x200000) {
+    bytes.push((low >>> 16) | 0xC0, (low >>> 8) & 0xFF, low & 0xFF);
+  } else if (low < 0x10000000) {
+    bytes.push((low >>> 24) | 0xE0, (low >>> 16) & 0xFF, (low >>> 8) & 0xFF,
+               low & 0xFF);
+  } else {
+    bytes.push(0xF0,
+      low >>> 24, (low >>> 16) & 0xFF, (low >>> 8) & 0xFF, low & 0xFF);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decodes a Mumble varint.
+ * Values which do not fit into a number without losing precision are
+ * returned as Long.
+ *
+ * @see {@link https://mumble-protocol.readthedocs.io/en/latest/voice_data.html#variable-length-integer-encoding}
+ *
+ * @param {Buffer} buffer - The buffer containing the varint
+ * @param {number} [offset=0] - Where the varint starts
+ * @return {?{value: (number|Long), length: number}} The decoded integer and
+ *   the number of bytes it occupied or null if the varint is invalid or
+ *   truncated.
+ */
+function decode(buffer, offset) {
+  offset = offset || 0;
+  if (buffer.length <= offset) {
+    return null;
+  }
+  var v = buffer[offset];
+  var length;
+  var value;
+  if ((v & 0x80) === 0x00) {
+    return { value: v, length: 1 };
+  } else if ((v & 0xC0) === 0x80) {
+    length = 2;
+    value = v & 0x3F;
+  } else if ((v & 0xE0) === 0xC0) {
+    length = 3;
+    value = v & 0x1F;
+  } else if ((v & 0xF0) === 0xE0) {
+    length = 4;
+    value = v & 0x0F;
+  } else {
+    switch (v & 0xFC) {
+      case 0xF0:
+        length = 5;
+        value = 0;
+        break;
+      case 0xF4:
+        if (buffer.length < offset + 9) {
+          return null;
+        }
+        return {
+          value: normalize(Long.fromBits(buffer.readUInt32BE(offset + 5),
+                                         buffer.readUInt32BE(offset + 1),
+                                         true)),
+          length: 9
+        };
+      case 0xF8:
+        var inner = decode(buffer, offset + 1);
+        if (!inner) {
+          return null;
+        }
+        return {
+          value: typeof inner.value === 'number'
+            ? -inner.value - 1
+            : normalize(inner.value.toSigned().not()),
+          length: 1 + inner.length
+        };
+      case 0xFC:
+        return { value: ~(v & 0x03), length: 1 };
+    }
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+  for (var i = 1; i < length; i++) {
+    value = value * 0x100 + buffer[offset + i];
+  }
+  return { value: value, length: length };
+}
+
+module.exports = {
+  encode: encode,
+  decode: decode,
+  normalize: normalize,
+  Long: Long
+};
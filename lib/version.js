@@ -0,0 +1,20 @@
+/**
+ * The version of the Mumble protocol implemented by this library.
+ */
+module.exports = {
+  major: 1,
+  minor: 5,
+  patch: 0,
+  toUInt8: function() {
+    return ((this.major & 0xffff) << 16)
+      | ((this.minor & 0xff) << 8)
+      | (this.patch & 0xff);
+  },
+  // Version in the version_v2 format introduced with Mumble 1.5
+  toUInt64: function() {
+    // Exceeds 32 bits, therefore no bitwise operators
+    return (this.major & 0xffff) * 0x1000000000000
+      + (this.minor & 0xffff) * 0x100000000
+      + (this.patch & 0xffff) * 0x10000;
+  }
+};
@@ -0,0 +1,174 @@
+var util = require('util'),
+    Readable = require('stream').Readable,
+    Writable = require('stream').Writable;
+
+/**
+ * Readable stream of the {@link VoiceData voice packets} of a single
+ * transmission of a single speaker.
+ * The metadata properties are updated with every packet, 'metadata' is
+ * emitted with the names of the changed properties whenever one of them
+ * changes after the first packet.
+ *
+ * @constructor
+ * @constructs Transmission
+ * @param {VoiceData} packet - The first packet of the transmission
+ */
+function Transmission(packet) {
+  // Allow use without new
+  if (!(this instanceof Transmission)) return new Transmission(packet);
+
+  Readable.call(this, {
+    objectMode: true
+  });
+
+  /**
+   * Session ID of the speaker.
+   * @type {number}
+   */
+  this.source = packet.source;
+  /**
+   * Codec of the latest packet.
+   * @type {Codec}
+   */
+  this.codec = packet.codec;
+  /**
+   * Mode of the latest packet.
+   * @type {VoiceMode}
+   */
+  this.mode = packet.mode;
+  /**
+   * Target of the latest packet.
+   * @type {VoiceTarget}
+   */
+  this.target = packet.target;
+  /**
+   * Position of the latest packet, null if it had none.
+   * @type {?object}
+   */
+  this.position = packet.position || null;
+  /**
+   * Sequence number of the first packet.
+   * @type {number}
+   */
+  this.seqNum = packet.seqNum;
+}
+util.inherits(Transmission, Readable);
+
+Transmission.prototype._read = function() {
+  // Voice packets arrive in real time, there is no way to pause them
+};
+
+Transmission.prototype._update = function(packet) {
+  var changed = [];
+  if (packet.codec != this.codec) {
+    this.codec = packet.codec;
+    changed.push('codec');
+  }
+  if (packet.mode != this.mode || packet.target != this.target) {
+    this.mode = packet.mode;
+    this.target = packet.target;
+    changed.push('target');
+  }
+  var position = packet.position || null;
+  if (!samePosition(position, this.position)) {
+    this.position = position;
+    changed.push('position');
+  }
+  if (changed.length) {
+    this.emit('metadata', changed);
+  }
+};
+
+/**
+ * Writable stream splitting the output of a voice.Decoder (or a
+ * {@link JitterBuffer}) into one {@link Transmission} per speaker and talk
+ * spurt.
+ * Emits 'transmission' with the new stream on the first packet of a speaker.
+ * The stream ends once a packet with the end flag was received, no packet was
+ * received for the silence timeout or the demuxer itself ends.
+ * Ping packets and gaps reported by a jitter buffer are ignored.
+ *
+ * @constructor
+ * @constructs VoiceDemuxer
+ * @param {object} [options]
+ * @param {number} [options.timeout=1000] - Silence in milliseconds after
+ *   which a transmission is considered ended
+ */
+function VoiceDemuxer(options) {
+  // Allow use without new
+  if (!(this instanceof VoiceDemuxer)) return new VoiceDemuxer(options);
+
+  Writable.call(this, {
+    objectMode: true
+  });
+
+  options = options || {};
+  this._timeout = options.timeout !== undefined ? options.timeout : 1000;
+  this._transmissions = {};
+  this._timers = {};
+
+  this.on('finish', function() {
+    Object.keys(this._transmissions).forEach(this._end, this);
+  });
+}
+util.inherits(VoiceDemuxer, Writable);
+
+/**
+ * @param {number} source - Session ID of the speaker
+ * @return {?Transmission} The current transmission of the speaker or null if
+ *   they are not talking.
+ */
+VoiceDemuxer.prototype.getTransmission = function(source) {
+  return this._transmissions[source] || null;
+};
+
+/**
+ * @return {Transmission[]} The transmissions of all talking speakers.
+ */
+VoiceDemuxer.prototype.getTransmissions = function() {
+  return Object.keys(this._transmissions).map(function(source) {
+    return this._transmissions[source];
+  }, this);
+};
+
+VoiceDemuxer.prototype._write = function(packet, encoding, callback) {
+  if (packet.timestamp !== undefined || packet.lost !== undefined) {
+    return callback();
+  }
+  var source = packet.source;
+  var transmission = this._transmissions[source];
+  if (transmission) {
+    transmission._update(packet);
+  } else {
+    transmission = this._transmissions[source] = new Transmission(packet);
+    this.emit('transmission', transmission);
+  }
+  transmission.push(packet);
+
+  clearTimeout(this._timers[source]);
+  if (packet.end) {
+    this._end(source);
+  } else if (this._timeout) {
+    this._timers[source] = setTimeout(this._end.bind(this, source),
+                                      this._timeout);
+  }
+  callback();
+};
+
+VoiceDemuxer.prototype._end = function(source) {
+  var transmission = this._transmissions[source];
+  clearTimeout(this._timers[source]);
+  delete this._timers[source];
+  delete this._transmissions[source];
+  transmission.push(null);
+};
+
+function samePosition(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+module.exports = VoiceDemuxer;
+module.exports.Transmission = Transmission;
@@ -0,0 +1,184 @@
+var util = require('util'),
+    Transform = require('stream').Transform,
+    frameCount = require('./jitter-buffer.js').frameCount;
+
+// Duration of one sequence number in milliseconds
+var SEQ_DURATION = 10;
+
+/**
+ * An encoded voice frame written to a {@link VoiceFramer}.
+ * Instead of this object, the frame itself may be written.
+ *
+ * @typedef {object} VoiceFrame
+ * @property {Buffer} frame - The encoded frame
+ * @property {number} [duration] - Duration of the frame in milliseconds,
+ *   determined from the frame itself for Opus
+ * @property {object} [position] - Spacial position of the source, replaces
+ *   the one set by {@link VoiceFramer#setPosition} for this frame
+ */
+
+/**
+ * Transform stream turning encoded voice frames into
+ * {@link VoiceData voice packets} ready for a voice.Encoder.
+ * The sequence number is increased by the duration of each frame in 10ms
+ * units as done by the Mumble client. Speex and CELT frames are batched into
+ * packets of multiple frames, Opus frames are sent one per packet.
+ * Once the input ends or pauses, the current transmission is terminated by a
+ * packet with the end flag set.
+ *
+ * @constructor
+ * @constructs VoiceFramer
+ * @param {object} [options]
+ * @param {Codec} [options.codec='Opus'] - Codec of the frames
+ * @param {VoiceMode} [options.mode=0] - Mode of the voice transmission
+ * @param {number} [options.source] - Session ID of the source, only needed if
+ *   the packets are sent to a client
+ * @param {number} [options.seqNum=0] - Sequence number of the first frame
+ * @param {number} [options.framesPerPacket=2] - Number of Speex or CELT
+ *   frames per packet
+ * @param {number} [options.frameDuration=10] - Duration in milliseconds of
+ *   Speex or CELT frames without duration
+ * @param {number} [options.pauseTimeout=100] - Time in milliseconds without
+ *   input after which the transmission is terminated, 0 to only terminate
+ *   once the input ends
+ */
+function VoiceFramer(options) {
+  // Allow use without new
+  if (!(this instanceof VoiceFramer)) return new VoiceFramer(options);
+
+  Transform.call(this, {
+    objectMode: true
+  });
+
+  options = options || {};
+  this._codec = options.codec || 'Opus';
+  this._mode = options.mode || 0;
+  this._source = options.source;
+  this._seqNum = options.seqNum || 0;
+  this._framesPerPacket = options.framesPerPacket || 2;
+  this._frameDuration = options.frameDuration || SEQ_DURATION;
+  this._pauseTimeout = options.pauseTimeout !== undefined
+    ? options.pauseTimeout : 100;
+  this._position = null;
+  this._pending = [];
+  this._pendingSeqNum = 0;
+  this._pendingPosition = null;
+  this._talking = false;
+  this._timer = null;
+}
+util.inherits(VoiceFramer, Transform);
+
+/**
+ * Changes the mode of all following packets, e.g. to whisper.
+ *
+ * @param {VoiceMode} mode - The new mode
+ */
+VoiceFramer.prototype.setMode = function(mode) {
+  this._mode = mode;
+};
+
+/**
+ * @return {VoiceMode} The mode of the voice transmission.
+ */
+VoiceFramer.prototype.getMode = function() {
+  return this._mode;
+};
+
+/**
+ * Sets the position attached to all following packets.
+ *
+ * @param {?object} position - The position or null to send none
+ */
+VoiceFramer.prototype.setPosition = function(position) {
+  this._position = position || null;
+};
+
+/**
+ * @return {number} Sequence number of the next frame.
+ */
+VoiceFramer.prototype.getSeqNum = function() {
+  return this._seqNum;
+};
+
+/**
+ * Terminates the current transmission. Following frames start a new one.
+ */
+VoiceFramer.prototype.terminate = function() {
+  clearTimeout(this._timer);
+  this._timer = null;
+  if (this._pending.length) {
+    this._pushPending(true);
+  } else if (this._talking) {
+    this._pushPacket(this._seqNum, [], this._position, true);
+    this._seqNum++;
+  }
+  this._talking = false;
+};
+
+VoiceFramer.prototype._transform = function(chunk, encoding, callback) {
+  var frame = Buffer.isBuffer(chunk) ? chunk : chunk.frame;
+  if (!Buffer.isBuffer(frame)) {
+    return callback(new TypeError('Frame is not a Buffer'));
+  }
+  var position = chunk.position || this._position;
+  var duration = chunk.duration;
+  var count;
+  if (duration !== undefined) {
+    count = Math.max(1, Math.round(duration / SEQ_DURATION));
+  } else if (this._codec == 'Opus') {
+    count = frameCount({ codec: 'Opus', frames: [frame] }) || 1;
+  } else {
+    count = Math.max(1, Math.round(this._frameDuration / SEQ_DURATION));
+  }
+
+  if (this._codec == 'Opus') {
+    this._pushPacket(this._seqNum, [frame], position, false);
+  } else {
+    if (!this._pending.length) {
+      this._pendingSeqNum = this._seqNum;
+      this._pendingPosition = position;
+    }
+    this._pending.push(frame);
+    if (this._pending.length >= this._framesPerPacket) {
+      this._pushPending(false);
+    }
+  }
+  this._seqNum += count;
+  this._talking = true;
+
+  clearTimeout(this._timer);
+  if (this._pauseTimeout) {
+    this._timer = setTimeout(this.terminate.bind(this), this._pauseTimeout);
+  }
+  callback();
+};
+
+VoiceFramer.prototype._flush = function(callback) {
+  this.terminate();
+  callback();
+};
+
+VoiceFramer.prototype._pushPending = function(end) {
+  var frames = this._pending;
+  this._pending = [];
+  this._pushPacket(this._pendingSeqNum, frames, this._pendingPosition, end);
+};
+
+VoiceFramer.prototype._pushPacket = function(seqNum, frames, position, end) {
+  var packet = {
+    mode: this._mode,
+    codec: this._codec,
+    seqNum: seqNum,
+    end: end,
+    frames: frames
+  };
+  if (this._source !== undefined) {
+    packet.source = this._source;
+  }
+  if (position) {
+    packet.position = position;
+  }
+  this.push(packet);
+};
+
+module.exports = VoiceFramer;
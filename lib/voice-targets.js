@@ -0,0 +1,211 @@
+var VoiceFramer = require('./voice-framer.js');
+
+// Whisper targets available to a client, 0 is normal talking and 31 loopback
+var MIN_ID = 1;
+var MAX_ID = 30;
+
+/**
+ * Description of whom to whisper or shout to.
+ *
+ * @typedef {object} TargetSpec
+ * @property {number[]} [users] - Session IDs of users
+ * @property {number} [channel] - Id of a channel
+ * @property {string} [group] - Restrict the channel to members of this group
+ * @property {boolean} [links=false] - Include channels linked to the channel
+ * @property {boolean} [children=false] - Include sub channels of the channel
+ */
+
+/**
+ * Manages the whisper targets (ids 1-30) of a client.
+ * Targets are registered with the server by VoiceTarget messages, identical
+ * targets share the same id. Ids which have not been used for a while are
+ * freed again, the least recently used id is reused once all are allocated.
+ *
+ * @constructor
+ * @constructs VoiceTargets
+ * @param {Connection|Encoder} connection - Where VoiceTarget messages are
+ *   written to
+ * @param {object} [options]
+ * @param {Transport|Connection} [options.voice] - Where the packets of
+ *   {@link VoiceTargets#voiceTo} are sent with sendVoice, defaults to the
+ *   connection if it has a sendVoice method
+ * @param {number} [options.maxAge=60000] - Time in milliseconds after which
+ *   unused targets are freed
+ */
+function VoiceTargets(connection, options) {
+  // Allow use without new
+  if (!(this instanceof VoiceTargets)) {
+    return new VoiceTargets(connection, options);
+  }
+
+  options = options || {};
+  this._connection = connection;
+  this._voice = options.voice
+    || (typeof connection.sendVoice === 'function' ? connection : null);
+  this._maxAge = options.maxAge !== undefined ? options.maxAge : 60000;
+  this._targets = {}; // by id
+}
+
+/**
+ * Registers a target unless an identical one already is.
+ *
+ * @param {TargetSpec|TargetSpec[]} spec - Whom to talk to
+ * @return {number} Id of the target, to be used as mode of the voice packets.
+ * @throws {RangeError} If all ids are in use.
+ */
+VoiceTargets.prototype.register = function(spec) {
+  var targets = toTargets(spec);
+  var key = JSON.stringify(targets);
+  var entry = this._find(key);
+  if (!entry) {
+    this.prune();
+    var id = this._freeId();
+    entry = this._targets[id] = {
+      id: id,
+      key: key,
+      targets: targets,
+      refs: 0,
+      lastUsed: 0
+    };
+    this._connection.write({
+      name: 'VoiceTarget',
+      payload: { id: id, targets: targets }
+    });
+  }
+  entry.lastUsed = Date.now();
+  return entry.id;
+};
+
+/**
+ * @param {TargetSpec|TargetSpec[]} spec - Whom to talk to
+ * @return {?number} Id of the target or null if it is not registered.
+ */
+VoiceTargets.prototype.getId = function(spec) {
+  var entry = this._find(JSON.stringify(toTargets(spec)));
+  return entry ? entry.id : null;
+};
+
+/**
+ * Frees all targets which are not used by a {@link VoiceTargets#voiceTo}
+ * stream and have not been registered again for the maximum age.
+ */
+VoiceTargets.prototype.prune = function() {
+  var now = Date.now();
+  Object.keys(this._targets).forEach(function(id) {
+    var entry = this._targets[id];
+    if (entry.refs == 0 && now - entry.lastUsed >= this._maxAge) {
+      this._free(entry);
+    }
+  }, this);
+};
+
+/**
+ * Creates a {@link VoiceFramer} whose packets are sent to the target.
+ * If a voice destination is known, the packets are sent to it, otherwise the
+ * framer has to be read from. The target is kept until the framer ends.
+ *
+ * @param {TargetSpec|TargetSpec[]} spec - Whom to talk to
+ * @param {object} [options] - Options of the {@link VoiceFramer}, mode is
+ *   ignored
+ * @return {VoiceFramer} The framer to write encoded frames to.
+ * @throws {RangeError} If all ids are in use.
+ */
+VoiceTargets.prototype.voiceTo = function(spec, options) {
+  var id = this.register(spec);
+  var entry = this._targets[id];
+  var framerOptions = {};
+  Object.keys(options || {}).forEach(function(key) {
+    framerOptions[key] = options[key];
+  });
+  framerOptions.mode = id;
+
+  var framer = new VoiceFramer(framerOptions);
+  entry.refs++;
+  framer.once('finish', function() {
+    entry.refs--;
+    entry.lastUsed = Date.now();
+  });
+  if (this._voice) {
+    var voice = this._voice;
+    framer.on('data', function(packet) {
+      voice.sendVoice(packet);
+    });
+  }
+  return framer;
+};
+
+VoiceTargets.prototype._find = function(key) {
+  for (var id in this._targets) {
+    if (this._targets[id].key == key) {
+      return this._targets[id];
+    }
+  }
+  return null;
+};
+
+VoiceTargets.prototype._freeId = function() {
+  var id;
+  for (id = MIN_ID; id <= MAX_ID; id++) {
+    if (!this._targets[id]) {
+      return id;
+    }
+  }
+  // Reuse the least recently used target
+  var oldest = null;
+  for (id in this._targets) {
+    var entry = this._targets[id];
+    if (entry.refs == 0 && (!oldest || entry.lastUsed < oldest.lastUsed)) {
+      oldest = entry;
+    }
+  }
+  if (!oldest) {
+    throw new RangeError('All voice targets are in use');
+  }
+  this._free(oldest);
+  return oldest.id;
+};
+
+VoiceTargets.prototype._free = function(entry) {
+  delete this._targets[entry.id];
+  this._connection.write({
+    name: 'VoiceTarget',
+    payload: { id: entry.id, targets: [] }
+  });
+};
+
+/**
+ * Converts specs into the normalized Target entries of a VoiceTarget message.
+ *
+ * @param {TargetSpec|TargetSpec[]} spec - Whom to talk to
+ * @return {object[]} The Target entries.
+ */
+function toTargets(spec) {
+  var targets = [];
+  [].concat(spec).forEach(function(spec) {
+    if (spec.users && spec.users.length) {
+      targets.push({
+        session: spec.users.slice().sort(function(a, b) {
+          return a - b;
+        })
+      });
+    }
+    if (spec.channel !== undefined && spec.channel !== null) {
+      var target = {
+        session: [],
+        channel_id: spec.channel,
+        links: !!spec.links,
+        children: !!spec.children
+      };
+      if (spec.group) {
+        target.group = spec.group;
+      }
+      targets.push(target);
+    }
+  });
+  if (!targets.length) {
+    throw new TypeError('Target has neither users nor a channel');
+  }
+  return targets;
+}
+
+module.exports = VoiceTargets;
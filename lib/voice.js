@@ -1,6 +1,19 @@
-var util = require('util'),
-    Transform = require('stream').Transform;
+var fs = require('fs'),
+    protobufjs = require('protobufjs'),
+    util = require('util'),
+    Transform = require('stream').Transform,
+    varint = require('./varint.js');
 
+// Explicitly reading with readFileSync to support brfs
+var mumbleUdpProto = fs.readFileSync(__dirname + '/MumbleUDP.proto');
+var udpMessages = protobufjs.loadProto(mumbleUdpProto).build('MumbleUDP');
+
+// Type byte preceding the protobuf-based packets
+var UDP_AUDIO = 0;
+var UDP_PING = 1;
+
+// First version (in the version_v2 format) supporting protobuf-based packets
+var PROTOBUF_VERSION = 0x0001000500000000; // 1.5.0
 
 
 /**
@@ -12,11 +25,21 @@ var util = require('util'),
  * 0 is normal talking.
  * 31 is server loopback.
  * 1-30 when sent from the client is the whisper target.
- * 1-30 when sent from the server: 1 for channel whisper, 2 for direct whisper
+ * 1-30 when sent from the server: 1 for channel whisper, 2 for direct whisper,
+ * 3 for voice received because the channel is listened to
  *
  * @typedef {number} VoiceMode
  */
 
+/**
+ * The meaning of a {@link VoiceMode}, which depends on the direction.
+ * Packets sent from a client can only be 'normal', 'whisper' or 'loopback',
+ * 'unknown' is used for modes sent from the server which are not known.
+ *
+ * @typedef {('normal'|'shout'|'whisper'|'listen'|'loopback'|'unknown')}
+ *   VoiceTarget
+ */
+
 /**
  * Data for a Mumble voice packet.
  * The {@link #source source property} is ignored if this packet is not
@@ -24,7 +47,9 @@ var util = require('util'),
  *
  * @typedef {object} VoiceData
  * @property {number} [source] - Session ID of source user
- * @property {VoiceMode} mode - Mode of the voice transmission
+ * @property {VoiceMode} [mode] - Mode of the voice transmission, may be
+ *   omitted when encoding if it can be derived from the target
+ * @property {VoiceTarget} [target] - Meaning of the mode, set when decoding
  * @property {Codec} codec - Codec used for encoding the voice data
  * @property {number} seqNum - Sequence number of the first voice frame
  * @property {boolean} end - Whether this is the last packet in this transmission
@@ -39,8 +64,106 @@ var util = require('util'),
  * Data for an audio channel ping packet.
  *
  * @typedef {object} PingData
- * @property timestamp The timestamp for this ping packet.
+ * @property {number|Long} timestamp - The timestamp for this ping packet,
+ *   a Long if it does not fit into a number
+ */
+
+/**
+ * The wire format of voice packets.
+ * 'legacy' is the varint based format used before Mumble 1.5,
+ * 'protobuf' is the MumbleUDP.proto based format introduced with Mumble 1.5
+ * which only supports the Opus codec.
+ *
+ * @typedef {('legacy'|'protobuf')} Format
+ */
+
+/**
+ * Returns the newest format supported by a side given the version_v2 of its
+ * Version message. The local version is not taken into account, the protobuf
+ * format may only be used if both sides support it, which is how the
+ * Connection negotiates it.
+ *
+ * @param {?(number|Long)} version - The version_v2 sent by one side
+ * @return {Format} The newest format supported by that side.
+ */
+function formatForVersion(version) {
+  if (version === undefined || version === null) {
+    return 'legacy';
+  }
+  if (typeof version !== 'number') {
+    version = version.toNumber();
+  }
+  return version >= PROTOBUF_VERSION ? 'protobuf' : 'legacy';
+}
+
+// Meaning of the modes sent from the server
+var SERVER_TARGETS = ['normal', 'shout', 'whisper', 'listen'];
+var LOOPBACK = 31;
+
+/**
+ * Returns the meaning of a mode.
+ *
+ * @param {('server'|'client')} orig - Where the packet is coming from
+ * @param {VoiceMode} mode - The mode of the packet
+ * @return {VoiceTarget} The meaning of the mode.
+ */
+function modeToTarget(orig, mode) {
+  if (mode == LOOPBACK) {
+    return 'loopback';
+  }
+  if (orig == 'client') {
+    return mode == 0 ? 'normal' : 'whisper';
+  }
+  return SERVER_TARGETS[mode] || 'unknown';
+}
+
+/**
+ * Returns the mode for a target. Whisper targets of clients are numbered and
+ * can therefore not be derived from the target.
+ *
+ * @param {('server'|'client')} dest - Where the packet is headed to
+ * @param {VoiceTarget} target - The meaning of the mode
+ * @return {?VoiceMode} The mode or null if there is none for the target.
+ */
+function targetToMode(dest, target) {
+  if (target == 'loopback') {
+    return LOOPBACK;
+  }
+  if (dest == 'server') {
+    return target == 'normal' ? 0 : null;
+  }
+  var mode = SERVER_TARGETS.indexOf(target);
+  return mode < 0 ? null : mode;
+}
+
+/**
+ * @param {('server'|'client')} dest - Where the packet is headed to
+ * @param {VoiceData} chunk - The packet
+ * @return {VoiceMode} The mode of the packet.
  */
+function modeOf(dest, chunk) {
+  if (chunk.mode !== undefined && chunk.mode !== null) {
+    if (chunk.mode < 0 || chunk.mode > LOOPBACK) {
+      throw new RangeError('Invalid voice mode: ' + chunk.mode);
+    }
+    return chunk.mode;
+  }
+  if (chunk.target === undefined) {
+    return 0;
+  }
+  var mode = targetToMode(dest, chunk.target);
+  if (mode === null) {
+    throw new TypeError('No mode for target ' + chunk.target + ' towards '
+                        + dest);
+  }
+  return mode;
+}
+
+function checkFormat(format) {
+  if (format != 'legacy' && format != 'protobuf') {
+    throw new TypeError('format has to be either "legacy" or "protobuf"');
+  }
+}
 
 
 /**
@@ -50,33 +173,60 @@ var util = require('util'),
  * @constructor
  * @constructs Encoder
  * @param {('server'|'client')} dest - Where encoded packets are headed to.
+ * @param {object} [options]
+ * @param {Format} [options.format='legacy'] - Wire format of the packets
  */
-function Encoder(dest) {
+function Encoder(dest, options) {
   // Allow use without new
-  if (!(this instanceof Encoder)) return new Encoder(dest);
+  if (!(this instanceof Encoder)) return new Encoder(dest, options);
 
   if (dest != 'server' && dest != 'client') {
     throw new TypeError('dest has to be either "server" or "client"');
   }
+  options = options || {};
+  var format = options.format || 'legacy';
+  checkFormat(format);
 
   Transform.call(this, {
     writableObjectMode: true
   });
 
   this._dest = dest;
+  this._format = format;
 } 
 util.inherits(Encoder, Transform);
 
+/**
+ * Changes the wire format used for all following packets.
+ *
+ * @param {Format} format - The new format
+ */
+Encoder.prototype.setFormat = function(format) {
+  checkFormat(format);
+  this._format = format;
+};
+
+/**
+ * @return {Format} The wire format currently in use.
+ */
+Encoder.prototype.getFormat = function() {
+  return this._format;
+};
+
 Encoder.prototype._transform = function(chunk, encoding, callback) {
+  if (this._format == 'protobuf') {
+    return this._transformProtobuf(chunk, callback);
+  }
+
   var buffer;
   var offset = 0;
 
   // Special case: Ping packets
   if (chunk.timestamp !== undefined) {
     // Header byte + Timestamp
-    buffer = new Buffer(1 + 9);
-    offset += buffer.writeUInt8(0x20, offset); // Ping packet header
-    offset += toVarint(chunk.timestamp).value.copy(buffer, offset);
+    buffer = Buffer.alloc(1 + 10);
+    offset = buffer.writeUInt8(0x20, offset); // Ping packet header
+    offset += varint.encode(chunk.timestamp).copy(buffer, offset);
     return callback(null, buffer.slice(0, offset));
   }
 
@@ -86,13 +236,16 @@ Encoder.prototype._transform = function(chunk, encoding, callback) {
     if (chunk.frames.length > 1) {
       return callback(new Error('Opus only supports a single frame per packet'));
     }
+    if (chunk.frames.length && chunk.frames[0].length > 0x1fff) {
+      return callback(new Error('Frame size is greater than 8191 bytes'));
+    }
     var endBit = chunk.end ? 0x2000 : 0
     if (chunk.frames.length == 0) {
-      voiceData = toVarint(endBit).value;
+      voiceData = varint.encode(endBit);
     } else {
-      var frameSize = toVarint(chunk.frames[0].length | endBit);
+      var frameSize = varint.encode(chunk.frames[0].length | endBit);
       // Opus packets are just the size and the data concatenated
-      voiceData = Buffer.concat([frameSize.value, chunk.frames[0]]);
+      voiceData = Buffer.concat([frameSize, chunk.frames[0]]);
     }
     codecId = 4;
   } else if (['CELT_Alpha', 'CELT_Beta', 'Speex'].indexOf(chunk.codec) >= 0) {
@@ -106,6 +259,10 @@ Encoder.prototype._transform = function(chunk, encoding, callback) {
       if (frame.length > 127) {
         return callback(new Error('Frame size is greater than 127 bytes'));
       }
+      if (frame.length == 0) {
+        // An empty frame terminates the transmission
+        return callback(new Error('Frame is empty'));
+      }
       voiceData.push(Buffer.from([frame.length | 0x80]))
       voiceData.push(frame)
     }
@@ -122,25 +279,84 @@ Encoder.prototype._transform = function(chunk, encoding, callback) {
     return callback(new TypeError('Unknown codec: ' + chunk.codec));
   }
 
+  var mode;
+  try {
+    mode = modeOf(this._dest, chunk);
+  } catch (e) {
+    return callback(e);
+  }
+
   // Header byte + Source Session Id + Sequence Number + Voice + Position Data
-  buffer = new Buffer(1 + 9 + 9 + voiceData.length + 3 * 4);
-  offset += buffer.writeUInt8(codecId << 5 | chunk.mode, offset);
+  buffer = Buffer.alloc(1 + 10 + 10 + voiceData.length + 3 * 4);
+  offset = buffer.writeUInt8(codecId << 5 | mode, offset);
   if (this._dest == 'client') {
     // Only server needs to send the source as the client is not allowed
     // to send voice for anyone besides itself
-    offset += toVarint(chunk.source).value.copy(buffer, offset);
+    offset += varint.encode(chunk.source).copy(buffer, offset);
   }
-  offset += toVarint(chunk.seqNum).value.copy(buffer, offset);
+  offset += varint.encode(chunk.seqNum).copy(buffer, offset);
   offset += voiceData.copy(buffer, offset);
   if (chunk.position) {
-    offset += buffer.writeFloatBE(chunk.position.x, offset);
-    offset += buffer.writeFloatBE(chunk.position.y, offset);
-    offset += buffer.writeFloatBE(chunk.position.z, offset);
+    offset = buffer.writeFloatBE(chunk.position.x, offset);
+    offset = buffer.writeFloatBE(chunk.position.y, offset);
+    offset = buffer.writeFloatBE(chunk.position.z, offset);
   }
   // Trim buffer to actual length and pass through
   callback(null, buffer.slice(0, offset));
 };
 
+Encoder.prototype._transformProtobuf = function(chunk, callback) {
+  var type;
+  var message;
+  var encoded;
+  try {
+    // Special case: Ping packets
+    if (chunk.timestamp !== undefined) {
+      type = UDP_PING;
+      message = new udpMessages.Ping({ timestamp: chunk.timestamp });
+    } else {
+      if (chunk.codec != 'Opus') {
+        return callback(new TypeError('Codec not supported by protobuf format: '
+                                      + chunk.codec));
+      }
+      if (chunk.frames.length > 1) {
+        return callback(new Error('Opus only supports a single frame per packet'));
+      }
+      var audio = {
+        frame_number: chunk.seqNum,
+        opus_data: chunk.frames.length ? chunk.frames[0] : Buffer.alloc(0),
+        is_terminator: !!chunk.end
+      };
+      if (this._dest == 'client') {
+        // Only server needs to send the source as the client is not allowed
+        // to send voice for anyone besides itself
+        audio.context = modeOf(this._dest, chunk);
+        audio.sender_session = chunk.source;
+      } else {
+        audio.target = modeOf(this._dest, chunk);
+      }
+      if (chunk.position) {
+        audio.positional_data = [
+          chunk.position.x,
+          chunk.position.y,
+          chunk.position.z
+        ];
+      }
+      type = UDP_AUDIO;
+      message = new udpMessages.Audio(audio);
+    }
+    encoded = message.toBuffer();
+  } catch (e) {
+    return callback(e);
+  }
+
+  // toBuffer returns an ArrayBuffer when called in the browser
+  if (!Buffer.isBuffer(encoded)) {
+    encoded = Buffer.from(encoded);
+  }
+  callback(null, Buffer.concat([Buffer.from([type]), encoded]));
+};
+
 /**
  * Transform stream for decoding {@link VoiceData Mumble voice packets}
  * and {@link PingData audio channel ping packets}.
@@ -148,23 +364,41 @@ Encoder.prototype._transform = function(chunk, encoding, callback) {
  * @constructor
  * @constructs Decoder
  * @param {('server'|'client')} orig - Where encoded packets are coming from.
+ * @param {object} [options]
+ * @param {Format} [options.format='legacy'] - Wire format of the packets
  */
-function Decoder(orig) {
+function Decoder(orig, options) {
   // Allow use without new
-  if (!(this instanceof Decoder)) return new Decoder(orig);
+  if (!(this instanceof Decoder)) return new Decoder(orig, options);
 
   if (orig != 'server' && orig != 'client') {
     throw new TypeError('orig has to be either "server" or "client"');
   }
+  options = options || {};
+  var format = options.format || 'legacy';
+  checkFormat(format);
 
   Transform.call(this, {
     readableObjectMode: true
   });
 
   this._orig = orig;
+  this._format = format;
 } 
 util.inherits(Decoder, Transform);
 
+/**
+ * Changes the wire format expected for all following packets.
+ *
+ * @param {Format} format - The new format
+ */
+Decoder.prototype.setFormat = Encoder.prototype.setFormat;
+
+/**
+ * @return {Format} The wire format currently in use.
+ */
+Decoder.prototype.getFormat = Encoder.prototype.getFormat;
+
 Decoder.prototype._transform = function(chunk, encoding, callback) {
   var self = this
   var reject = function(reason) {
@@ -172,36 +406,40 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
     callback();
   };
 
+  if (this._format == 'protobuf') {
+    return this._transformProtobuf(chunk, reject, callback);
+  }
+
   var packet = {};
   try {
     if (chunk.length == 0) return reject('empty');
     var codecId = chunk[0] >> 5;
     if (codecId == 1) { // Ping packet
-      var val = fromVarint(chunk.slice(1));
+      var val = varint.decode(chunk, 1);
       if (!val) return reject('invalid timestamp');
       packet.timestamp = val.value;
     } else { // Voice packet
-      var target = chunk[0] & 0x1f
-      packet.target = ['normal', 'shout', 'whisper'][target] || 'loopback';
+      packet.mode = chunk[0] & 0x1f;
+      packet.target = modeToTarget(this._orig, packet.mode);
       var offset = 1;
 
       // Parse source if this packet originated from the server
       if (this._orig == 'server') {
-        var source = fromVarint(chunk.slice(offset));
+        var source = varint.decode(chunk, offset);
         if (!source) return reject('invalid source');
         offset += source.length;
         packet.source = source.value;
       }
 
       // Parse the sequence number of the first audio packet
-      var sequenceNumber = fromVarint(chunk.slice(offset));
+      var sequenceNumber = varint.decode(chunk, offset);
       if (!sequenceNumber) return reject('invalid sequence number');
       offset += sequenceNumber.length;
       packet.seqNum = sequenceNumber.value;
 
       // Parse the voice frames depending on the audio codec
       if (codecId == 4) {
-        var voiceLength = fromVarint(chunk.slice(offset));
+        var voiceLength = varint.decode(chunk, offset);
         if (!voiceLength) return reject('invalid voice length');
         packet.end = (voiceLength.value & 0x2000) > 0;
         voiceLength.value &= 0x1fff;
@@ -213,7 +451,7 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
         offset += voiceLength.value;
         packet.frames = voice.length ? [voice] : [];
         packet.codec = 'Opus';
-      } else if (codecId == 0 || codecIf == 2 || codecId == 3) {
+      } else if (codecId == 0 || codecId == 2 || codecId == 3) {
         packet.codec = ['CELT_Alpha', '', 'Speex', 'CELT_Beta'][codecId];
         packet.frames = [];
         while (true) {
@@ -242,7 +480,7 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
       }
 
       // Parse positional data if existent
-      if (chunk.length > offset + 12) {
+      if (chunk.length >= offset + 12) {
         packet.position = {
           x: chunk.readFloatBE(offset),
           y: chunk.readFloatBE(offset + 4),
@@ -256,109 +494,55 @@ Decoder.prototype._transform = function(chunk, encoding, callback) {
   return callback(null, packet);
 };
 
-module.exports = {
-  Encoder: Encoder,
-  Decoder: Decoder
-};
-
-// Functions below from node-mumble
-// https://github.com/Rantanen/node-mumble/blob/master/LICENSE
-
-/**
- * @summary Converts a number to Mumble varint.
- *
- * @see {@link http://mumble-protocol.readthedocs.org/en/latest/voice_data.html#variable-length-integer-encoding}
- *
- * @param {number} i - Integer to convert
- * @returns {Buffer} Varint encoded number
- */
-function toVarint( i ) {
-
-    var arr = [];
-    if( i < 0 ) {
-        i = ~i;
-        if( i <= 0x3 ) { return new Buffer( [ 0xFC | i ] ); }
-
-        arr.push( 0xF8 );
+Decoder.prototype._transformProtobuf = function(chunk, reject, callback) {
+  if (chunk.length == 0) return reject('empty');
+  var packet = {};
+  var message;
+  if (chunk[0] == UDP_PING) {
+    try {
+      message = udpMessages.Ping.decode(chunk.slice(1));
+    } catch (e) {
+      return reject('invalid ping message');
     }
-
-    if( i < 0x80 ) {
-        arr.push( i );
-    } else if( i < 0x4000 ) {
-        arr.push( ( i >> 8 ) | 0x80 );
-        arr.push( i & 0xFF );
-    } else if( i < 0x200000 ) {
-        arr.push( ( i >> 16 ) | 0xC0 );
-        arr.push( ( i >> 8 ) & 0xFF );
-        arr.push( i & 0xFF );
-    } else if( i < 0x10000000 ) {
-        arr.push( ( i >> 24 ) | 0xE0 );
-        arr.push( ( i >> 16 ) & 0xFF );
-        arr.push( ( i >> 8 ) & 0xFF );
-        arr.push( i & 0xFF );
-    } else if( i < 0x100000000 ) {
-        arr.push( 0xF0 );
-        arr.push( ( i >> 24 ) & 0xFF );
-        arr.push( ( i >> 16 ) & 0xFF );
-        arr.push( ( i >> 8 ) & 0xFF );
-        arr.push( i & 0xFF );
-    } else {
-        throw new TypeError( 'Non-integer values are not supported. (' + i + ')' );
+    packet.timestamp = varint.normalize(message.timestamp);
+  } else if (chunk[0] == UDP_AUDIO) {
+    try {
+      message = udpMessages.Audio.decode(chunk.slice(1));
+    } catch (e) {
+      return reject('invalid audio message');
     }
-
-    return {
-        value: new Buffer( arr ),
-        length: arr.length
-    };
-}
-
-/**
- * @summary Converts a Mumble varint to an integer.
- *
- * @see {@link http://mumble-protocol.readthedocs.org/en/latest/voice_data.html#variable-length-integer-encoding}
- *
- * @param {Buffer} b - Varint to convert
- * @returns {number} Decoded integer
- */
-function fromVarint( b ) {
-    if (b.length == 0) return null;
-    var length = 1;
-    var i, v = b[ 0 ];
-    if( ( v & 0x80 ) === 0x00 ) {
-        i = ( v & 0x7F );
-    } else if( ( v & 0xC0 ) === 0x80 ) {
-        i = ( v & 0x3F ) << 8 | b[ 1 ];
-        length = 2;
-    } else if( ( v & 0xF0 ) === 0xF0 ) {
-        switch( v & 0xFC ) {
-        case 0xF0:
-            i = b[ 1 ] << 24 | b[ 2 ] << 16 | b[ 3 ] << 8 | b[ 4 ];
-            length = 5;
-            break;
-        case 0xF8:
-            var ret = fromVarint( b.slice( 1 ) );
-            if (!ret) return ret;
-            return {
-                value: ~ret.value,
-                length: 1 + ret.length
-            };
-        case 0xFC:
-            i = v & 0x03;
-            i = ~i;
-            break;
-        default:
-            return null
-        }
-    } else if( ( v & 0xF0 ) === 0xE0 ) {
-        i = ( v & 0x0F ) << 24 | b[ 1 ] << 16 | b[ 2 ] << 8 | b[ 3 ];
-        length = 4;
-    } else if( ( v & 0xE0 ) === 0xC0 ) {
-        i = ( v & 0x1F ) << 16 | b[ 1 ] << 8 | b[ 2 ];
-        length = 3;
+    packet.mode = message.Header == 'context' ? message.context : message.target;
+    packet.target = modeToTarget(this._orig, packet.mode);
+    if (this._orig == 'server') {
+      packet.source = message.sender_session;
     }
+    packet.seqNum = varint.normalize(message.frame_number);
+    var voice = message.opus_data.toBuffer();
+    // toBuffer returns an ArrayBuffer when called in the browser
+    if (!Buffer.isBuffer(voice)) {
+      voice = Buffer.from(voice);
+    }
+    packet.frames = voice.length ? [voice] : [];
+    packet.codec = 'Opus';
+    packet.end = message.is_terminator;
+    if (message.positional_data.length >= 3) {
+      packet.position = {
+        x: message.positional_data[0],
+        y: message.positional_data[1],
+        z: message.positional_data[2]
+      };
+    }
+  } else {
+    return reject('unknown message type ' + chunk[0]);
+  }
+  return callback(null, packet);
+};
 
-    return {
-        value: i,
-        length: length
-    };
-}
+module.exports = {
+  Encoder: Encoder,
+  Decoder: Decoder,
+  formatForVersion: formatForVersion,
+  modeToTarget: modeToTarget,
+  targetToMode: targetToMode,
+  messages: udpMessages
+};
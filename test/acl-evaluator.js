@@ -0,0 +1,63 @@
+var expect = require('chai').expect,
+    PERMISSIONS = require('../lib/permissions.js').PERMISSIONS,
+    AclEvaluator = require('../lib/acl-evaluator.js'),
+    State = require('../lib/state.js');
+
+describe('AclEvaluator', function() {
+  var evaluator;
+  var user = { user_id: 5, channel_id: 1 };
+  beforeEach(function() {
+    var state = new State();
+    state.handleMessage({
+      name: 'ChannelState',
+      payload: { channel_id: 0, name: 'Root' }
+    });
+    state.handleMessage({
+      name: 'ChannelState',
+      payload: { channel_id: 1, parent: 0, name: 'Sub' }
+    });
+    evaluator = new AclEvaluator(state);
+    evaluator.setAcl({ channel_id: 1, inherit_acls: true, acls: [] });
+  });
+
+  it('only grants and denies where the entries apply', function() {
+    evaluator.setAcl({
+      channel_id: 0,
+      inherit_acls: true,
+      acls: [{
+        apply_here: false,
+        apply_subs: true,
+        group: 'all',
+        deny: PERMISSIONS.TextMessage
+      }, {
+        apply_here: true,
+        apply_subs: false,
+        group: 'all',
+        deny: PERMISSIONS.Speak
+      }]
+    });
+    var root = evaluator.getEffectivePermissions(user, 0);
+    var sub = evaluator.getEffectivePermissions(user, 1);
+    expect(root & PERMISSIONS.TextMessage).to.not.equal(0);
+    expect(root & PERMISSIONS.Speak).to.equal(0);
+    expect(sub & PERMISSIONS.TextMessage).to.equal(0);
+    expect(sub & PERMISSIONS.Speak).to.not.equal(0);
+  });
+
+  it('denies Traverse for sub channels regardless of apply_subs', function() {
+    evaluator.setAcl({
+      channel_id: 0,
+      inherit_acls: true,
+      acls: [{
+        apply_here: true,
+        apply_subs: false,
+        group: 'all',
+        deny: PERMISSIONS.Traverse
+      }]
+    });
+    expect(evaluator.getEffectivePermissions(user, 0))
+      .to.equal(PERMISSIONS.None);
+    expect(evaluator.getEffectivePermissions(user, 1))
+      .to.equal(PERMISSIONS.None);
+  });
+});
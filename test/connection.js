@@ -0,0 +1,190 @@
+var expect = require('chai').expect,
+    socketPair = require('./helpers.js').socketPair,
+    Connection = require('../lib/connection.js'),
+    ClientSession = require('../lib/client-session.js'),
+    errors = require('../lib/errors.js'),
+    ServerSession = require('../lib/server-session.js'),
+    State = require('../lib/state.js'),
+    UdpCrypt = require('../lib/udp-crypto.js');
+
+function connectionPair(options) {
+  var sockets = socketPair();
+  return {
+    client: new Connection(sockets[0], 'server', options || { pingInterval: 0 }),
+    server: new Connection(sockets[1], 'client')
+  };
+}
+
+var VERSION_1_4 = { version_v2: 0x0001000400000000 };
+var VERSION_1_5 = { version_v2: 0x0001000500000000 };
+
+describe('Connection', function() {
+  it('emits received messages as message and named events', function(done) {
+    var pair = connectionPair();
+    var messages = [];
+    pair.server.on('message', function(message) {
+      messages.push(message.name);
+    });
+    pair.server.on('TextMessage', function(payload) {
+      expect(payload.message).to.equal('Hello');
+      expect(payload.channel_id).to.deep.equal([0]);
+      expect(messages).to.deep.equal(['UserState', 'TextMessage']);
+      done();
+    });
+    pair.client.send('UserState', { self_mute: true });
+    pair.client.send('TextMessage', { channel_id: [0], message: 'Hello' });
+  });
+
+  it('rejects invalid messages without closing', function(done) {
+    var pair = connectionPair();
+    expect(function() {
+      pair.client.send('TextMessage', { message: 5 });
+    }).to.throw(TypeError);
+    expect(function() {
+      pair.client.send('NoSuchMessage', {});
+    }).to.throw(TypeError);
+    pair.server.on('TextMessage', function(payload) {
+      expect(payload.message).to.equal('still open');
+      done();
+    });
+    pair.client.send('TextMessage', { message: 'still open' });
+  });
+
+  it('negotiates the voice format from the Version messages', function(done) {
+    var pair = connectionPair();
+    var versions = 0;
+    var check = function() {
+      if (++versions < 2) return;
+      expect(pair.client.getVoiceFormat()).to.equal('protobuf');
+      expect(pair.server.getVoiceFormat()).to.equal('protobuf');
+      done();
+    };
+    pair.client.on('Version', check);
+    pair.server.on('Version', check);
+    pair.client.send('Version', VERSION_1_5);
+    pair.server.send('Version', VERSION_1_5);
+  });
+
+  it('keeps the legacy voice format for older versions', function(done) {
+    var pair = connectionPair();
+    pair.server.on('Version', function() {
+      expect(pair.client.getVoiceFormat()).to.equal('legacy');
+      expect(pair.server.getVoiceFormat()).to.equal('legacy');
+      done();
+    });
+    pair.server.send('Version', VERSION_1_5);
+    pair.client.send('Version', VERSION_1_4);
+  });
+
+  it('tunnels voice through UDPTunnel messages', function(done) {
+    var pair = connectionPair();
+    pair.client.on('voice', function(packet) {
+      expect(packet.source).to.equal(3);
+      expect(packet.seqNum).to.equal(42);
+      expect(packet.frames[0].toString('hex')).to.equal('010203');
+      done();
+    });
+    pair.server.sendVoice({
+      source: 3,
+      mode: 0,
+      codec: 'Opus',
+      seqNum: 42,
+      end: false,
+      frames: [Buffer.from([1, 2, 3])]
+    });
+  });
+
+  it('measures the round trip time of Ping messages', function(done) {
+    var pair = connectionPair({ pingInterval: 10 });
+    pair.client.getPinger().once('pong', function(rtt) {
+      expect(rtt).to.be.at.least(0);
+      expect(pair.client.getPinger().getCount()).to.equal(1);
+      pair.client.close();
+      done();
+    });
+  });
+
+  it('emits close on both ends once closed', function(done) {
+    var pair = connectionPair();
+    var closed = 0;
+    var onClose = function() {
+      if (++closed == 2) {
+        done();
+      }
+    };
+    pair.client.on('close', onClose);
+    pair.server.on('close', onClose);
+    pair.client.close();
+  });
+
+  it('completes the handshake of a client and server session', function(done) {
+    var pair = connectionPair();
+    var state = new State();
+    state.handleMessage({
+      name: 'ChannelState',
+      payload: { channel_id: 0, name: 'Root' }
+    });
+    var serverSession = new ServerSession(pair.server, {
+      state: state,
+      authenticate: function(authenticate, version, callback) {
+        callback(null, { name: authenticate.username });
+      }
+    });
+    var block = new UdpCrypt();
+    var clientSession = new ClientSession(pair.client, {
+      username: 'alice',
+      block: block
+    });
+    var received = new State();
+    pair.client.on('message', received.handleMessage.bind(received));
+    clientSession.connect().then(function(serverSync) {
+      expect(serverSync.session).to.equal(1);
+      expect(clientSession.getState()).to.equal('synced');
+      expect(serverSession.getState()).to.equal('synced');
+      expect(block.ready()).to.be.ok;
+      expect(pair.client.getVoiceFormat()).to.equal('protobuf');
+      expect(pair.server.getVoiceFormat()).to.equal('protobuf');
+      expect(received.getUsersInChannel(0).map(function(user) {
+        return user.name;
+      })).to.deep.equal(['alice']);
+
+      serverSession.on('state', function(newState) {
+        expect(newState).to.equal('closed');
+        expect(state.getUsers()).to.have.length(0);
+        done();
+      });
+      clientSession.close();
+    }).catch(done);
+  });
+
+  it('rejects the client if the authentication hook throws', function(done) {
+    var authenticate = function(authenticate) {
+      if (authenticate.username == 'bob') {
+        throw new errors.RejectError('InvalidUsername', 'No bob allowed');
+      }
+      throw new Error('Database unavailable');
+    };
+    var pair = connectionPair();
+    var serverSession = new ServerSession(pair.server, {
+      authenticate: authenticate
+    });
+    var clientSession = new ClientSession(pair.client, { username: 'bob' });
+    clientSession.connect().then(function() {
+      throw new Error('not rejected');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.RejectError);
+      expect(err.type).to.equal('InvalidUsername');
+      expect(serverSession.getState()).to.equal('closed');
+
+      var other = connectionPair();
+      new ServerSession(other.server, { authenticate: authenticate });
+      return new ClientSession(other.client, { username: 'alice' }).connect();
+    }).then(function() {
+      throw new Error('not rejected');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.RejectError);
+      expect(err.type).to.equal('None');
+      expect(err.message).to.equal('Database unavailable');
+    }).then(done, done);
+  });
+});
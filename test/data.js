@@ -0,0 +1,71 @@
+var expect = require('chai').expect,
+    data = require('../lib/data.js');
+
+describe('data.Encoder', function() {
+  it('fails on invalid messages without invalid listeners', function(done) {
+    var encoder = new data.Encoder();
+    encoder.on('data', function() {
+      done(new Error('invalid message encoded'));
+    });
+    encoder.on('error', function(err) {
+      expect(err).to.be.an.instanceof(TypeError);
+      expect(err.message).to.equal('Unknown message: TextMesage');
+      done();
+    });
+    encoder.write({ name: 'TextMesage', payload: { message: 'Hello' } });
+  });
+
+  it('drops invalid messages with invalid listeners', function(done) {
+    var encoder = new data.Encoder({ messageLength: 5 });
+    var invalid = [];
+    encoder.on('invalid', function(err, message) {
+      invalid.push([err.constructor, message.name]);
+    });
+    encoder.on('error', done);
+    encoder.on('data', function(chunk) {
+      expect(chunk.readUInt16BE(0)).to.equal(3); // Ping
+      expect(invalid).to.deep.equal([
+        [TypeError, 'TextMesage'],
+        [TypeError, 'TextMessage'],
+        [RangeError, 'TextMessage']
+      ]);
+      done();
+    });
+    encoder.write({ name: 'TextMesage', payload: { message: 'Hello' } });
+    encoder.write({ name: 'TextMessage', payload: { message: 5 } });
+    encoder.write({ name: 'TextMessage', payload: { message: 'Hello!' } });
+    encoder.write({ name: 'Ping', payload: {} });
+  });
+
+  describe('length limits', function() {
+    var image = '<img src="data:image/png;base64,' + 'A'.repeat(200) + '">';
+    function check(text, messageLength, imageMessageLength) {
+      var encoder = new data.Encoder({
+        messageLength: messageLength,
+        imageMessageLength: imageMessageLength
+      });
+      return function() {
+        encoder.check({ name: 'TextMessage', payload: { message: text } });
+      };
+    }
+
+    it('does not count the data of images towards message_length', function() {
+      expect(check(image + 'Hello', 10, 1000)).to.not.throw();
+      expect(check(image + 'Hello', 10, 0)).to.not.throw();
+    });
+
+    it('limits the text of messages with images by message_length',
+       function() {
+      expect(check(image + 'x'.repeat(50), 10, 1000))
+        .to.throw(RangeError, 'maximum length of 10');
+    });
+
+    it('limits all messages by image_message_length', function() {
+      expect(check(image, 0, 100))
+        .to.throw(RangeError, 'maximum length of 100');
+      expect(check('x'.repeat(101), 0, 100))
+        .to.throw(RangeError, 'maximum length of 100');
+      expect(check('x'.repeat(100), 0, 100)).to.not.throw();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+var expect = require('chai').expect,
+    data = require('../lib/data.js'),
+    errors = require('../lib/errors.js'),
+    DenyTracker = require('../lib/deny-tracker.js');
+
+describe('DenyTracker', function() {
+  var encoder;
+  beforeEach(function() {
+    // Validates messages like Connection#write but discards them
+    var check = new data.Encoder();
+    encoder = {
+      write: function(message) {
+        check.check(message);
+      }
+    };
+  });
+
+  it('rejects the message which caused a denial', function() {
+    var tracker = new DenyTracker(encoder);
+    var other = tracker.send('TextMessage', { channel_id: [1], message: 'a' });
+    var denied = tracker.send('TextMessage', { channel_id: [2], message: 'b' });
+    expect(tracker.handleMessage({
+      name: 'PermissionDenied',
+      payload: { type: 1, permission: 0x200, channel_id: 1 }
+    })).to.equal(true);
+    tracker.close();
+    return Promise.all([
+      other.then(function() {
+        throw new Error('not rejected');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.PermissionDeniedError);
+        expect(err.operation.payload.message).to.equal('a');
+      }),
+      denied.then(function() {
+        throw new Error('not rejected');
+      }, function(err) {
+        expect(err.message).to.equal('Connection closed');
+      })
+    ]);
+  });
+
+  it('does not track messages which could not be written', function() {
+    var tracker = new DenyTracker(encoder);
+    var denials = [];
+    tracker.on('denied', function(err) {
+      denials.push(err);
+    });
+    expect(function() {
+      tracker.send('TextMessage', { message: 5 });
+    }).to.throw(TypeError);
+    tracker.handleMessage({
+      name: 'PermissionDenied',
+      payload: { type: 1, permission: 0x200 }
+    });
+    expect(denials).to.have.length(1);
+    expect(denials[0].operation).to.equal(null);
+    tracker.close();
+  });
+});
@@ -0,0 +1,36 @@
+var stream = require('stream');
+
+// Two duplex streams connected to each other, behaving like the two ends of a
+// socket (ending one end closes both)
+function socketPair() {
+  var a, b;
+  a = new stream.Duplex({
+    allowHalfOpen: false,
+    read: function() {},
+    write: function(chunk, encoding, callback) {
+      b.push(chunk);
+      callback();
+    },
+    final: function(callback) {
+      b.push(null);
+      callback();
+    }
+  });
+  b = new stream.Duplex({
+    allowHalfOpen: false,
+    read: function() {},
+    write: function(chunk, encoding, callback) {
+      a.push(chunk);
+      callback();
+    },
+    final: function(callback) {
+      a.push(null);
+      callback();
+    }
+  });
+  return [a, b];
+}
+
+module.exports = {
+  socketPair: socketPair
+};
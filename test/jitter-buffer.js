@@ -0,0 +1,86 @@
+var expect = require('chai').expect,
+    JitterBuffer = require('../lib/jitter-buffer.js');
+
+// 10ms Opus packet
+function packet(seqNum, end) {
+  return {
+    source: 1,
+    codec: 'Opus',
+    seqNum: seqNum,
+    end: !!end,
+    frames: [Buffer.from([0])]
+  };
+}
+
+describe('JitterBuffer', function() {
+  var buffer, output;
+  beforeEach(function() {
+    buffer = new JitterBuffer({ minDelay: 20, maxDelay: 20 });
+    output = [];
+    buffer.on('data', function(packet) {
+      output.push(packet.lost ? 'lost ' + packet.lost : packet.seqNum);
+    });
+  });
+  afterEach(function() {
+    buffer.end();
+  });
+
+  it('reorders packets', function() {
+    buffer.write(packet(10));
+    buffer.write(packet(12));
+    buffer.write(packet(11));
+    expect(output).to.deep.equal([10, 11, 12]);
+  });
+
+  it('pushes a gap for missing packets after the delay', function(done) {
+    buffer.write(packet(10));
+    buffer.write(packet(12));
+    expect(output).to.deep.equal([10]);
+    setTimeout(function() {
+      expect(output).to.deep.equal([10, 'lost 1', 12]);
+      done();
+    }, 40);
+  });
+
+  it('drops late packets of a finished transmission', function() {
+    buffer.write(packet(10));
+    buffer.write(packet(11));
+    buffer.write(packet(12, true));
+    buffer.write(packet(11));
+    expect(output).to.deep.equal([10, 11, 12]);
+  });
+
+  it('starts a new transmission with lower sequence numbers', function() {
+    buffer.write(packet(100));
+    buffer.write(packet(101, true));
+    buffer.write(packet(0));
+    buffer.write(packet(1));
+    expect(output).to.deep.equal([100, 101, 0, 1]);
+  });
+
+  it('forgets finished transmissions after the delay', function(done) {
+    buffer.write(packet(10));
+    buffer.write(packet(11, true));
+    setTimeout(function() {
+      var other = packet(0);
+      other.source = 2;
+      buffer.write(other);
+      expect(Object.keys(buffer._ended)).to.deep.equal([]);
+      buffer.write(packet(10));
+      buffer.write(packet(11));
+      expect(output).to.deep.equal([10, 11, 0, 10, 11]);
+      done();
+    }, 40);
+  });
+
+  it('starts a new transmission if the end got lost', function(done) {
+    buffer.write(packet(10));
+    buffer.write(packet(11));
+    setTimeout(function() {
+      buffer.write(packet(10));
+      buffer.write(packet(11));
+      expect(output).to.deep.equal([10, 11, 10, 11]);
+      done();
+    }, 40);
+  });
+});
@@ -0,0 +1,59 @@
+var expect = require('chai').expect,
+    data = require('../lib/data.js'),
+    Requests = require('../lib/requests.js');
+
+// Validates messages like Connection#write but discards them
+function checkingEncoder() {
+  var encoder = new data.Encoder();
+  return {
+    written: [],
+    write: function(message) {
+      encoder.check(message);
+      this.written.push(message);
+    }
+  };
+}
+
+describe('Requests', function() {
+  it('resolves a request with the matching response', function() {
+    var encoder = checkingEncoder();
+    var requests = new Requests(encoder);
+    var promise = requests.queryPermissions(3);
+    expect(encoder.written).to.deep.equal([
+      { name: 'PermissionQuery', payload: { channel_id: 3 } }
+    ]);
+    expect(requests.handleMessage({
+      name: 'PermissionQuery',
+      payload: { channel_id: 2, permissions: 1 }
+    })).to.equal(false);
+    expect(requests.handleMessage({
+      name: 'PermissionQuery',
+      payload: { channel_id: 3, permissions: 0x0e }
+    })).to.equal(true);
+    return promise.then(function(permissions) {
+      expect(permissions).to.equal(0x0e);
+    });
+  });
+
+  it('does not keep requests whose message could not be written',
+     function(done) {
+    var requests = new Requests(checkingEncoder(), { timeout: 10 });
+    var unhandled = [];
+    var onUnhandled = function(err) {
+      unhandled.push(err);
+    };
+    process.on('unhandledRejection', onUnhandled);
+    expect(function() {
+      requests.queryUserStats('not a session');
+    }).to.throw(TypeError);
+    setTimeout(function() {
+      process.removeListener('unhandledRejection', onUnhandled);
+      expect(unhandled).to.deep.equal([]);
+      expect(requests.handleMessage({
+        name: 'UserStats',
+        payload: { session: 'not a session' }
+      })).to.equal(false);
+      done();
+    }, 50);
+  });
+});
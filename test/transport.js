@@ -0,0 +1,193 @@
+var expect = require('chai').expect,
+    dgram = require('dgram'),
+    socketPair = require('./helpers.js').socketPair,
+    Connection = require('../lib/connection.js'),
+    Transport = require('../lib/transport.js'),
+    UdpCrypt = require('../lib/udp-crypto.js'),
+    voice = require('../lib/voice.js');
+
+/**
+ * A UDP server on localhost which decrypts all datagrams, answers pings as
+ * long as server.answerPings is set and emits 'voice' for voice packets.
+ */
+function udpServer(clientBlock, callback) {
+  // The IVs are modified in place, so they must not be shared
+  var block = new UdpCrypt();
+  block.setKey(Buffer.from(clientBlock.getKey()));
+  block.setDecryptIV(Buffer.from(clientBlock.getEncryptIV()));
+  block.setEncryptIV(Buffer.from(clientBlock.getDecryptIV()));
+  var encoder = new voice.Encoder('client');
+  var decoder = new voice.Decoder('client');
+  var socket = dgram.createSocket('udp4');
+  var server = {
+    socket: socket,
+    answerPings: true,
+    client: null,
+    received: [],
+    send: function(packet) {
+      encoder.write(packet);
+    }
+  };
+  encoder.on('data', function(plainText) {
+    var cipherText = block.encrypt(plainText);
+    socket.send(cipherText, 0, cipherText.length, server.client.port,
+                server.client.address);
+  });
+  decoder.on('data', function(packet) {
+    if (packet.timestamp === undefined) {
+      server.received.push(packet);
+    } else if (server.answerPings) {
+      server.send(packet);
+    }
+  });
+  socket.on('message', function(cipherText, rinfo) {
+    server.client = rinfo;
+    var plainText = block.decrypt(cipherText);
+    if (plainText) {
+      decoder.write(plainText);
+    }
+  });
+  socket.bind(0, '127.0.0.1', function() {
+    callback(server);
+  });
+}
+
+function voicePacket(seqNum) {
+  return {
+    mode: 0,
+    codec: 'Opus',
+    seqNum: seqNum,
+    end: false,
+    frames: [Buffer.from([seqNum])]
+  };
+}
+
+describe('Transport', function() {
+  var sockets, client, tunnel, block, server, udpSocket, transport;
+
+  beforeEach(function(done) {
+    sockets = socketPair();
+    client = new Connection(sockets[0], 'server', { pingInterval: 0 });
+    tunnel = new Connection(sockets[1], 'client');
+    block = new UdpCrypt(client.getStats());
+    block.generateKey(function(err) {
+      if (err) return done(err);
+      udpServer(block, function(udpServer) {
+        server = udpServer;
+        udpSocket = dgram.createSocket('udp4');
+        done();
+      });
+    });
+  });
+
+  afterEach(function() {
+    transport.removeAllListeners();
+    transport.close();
+    udpSocket.close();
+    server.socket.close();
+    client.close();
+  });
+
+  function createTransport(options) {
+    options = options || {};
+    options.host = '127.0.0.1';
+    options.port = server.socket.address().port;
+    transport = new Transport(client, udpSocket, block, options);
+    return transport;
+  }
+
+  it('tunnels voice through TCP until a UDP ping is answered', function(done) {
+    server.answerPings = false;
+    createTransport({ pingInterval: 1000 });
+    expect(transport.getTransport()).to.equal('tcp');
+    tunnel.on('voice', function(packet) {
+      expect(packet.seqNum).to.equal(1);
+      expect(server.received).to.have.length(0);
+      done();
+    });
+    transport.sendVoice(voicePacket(1));
+  });
+
+  it('switches to UDP once a ping is answered', function(done) {
+    tunnel.on('voice', function() {
+      done(new Error('Voice was tunneled through TCP'));
+    });
+    createTransport({ pingInterval: 1000 });
+    transport.on('transport', function(newTransport) {
+      expect(newTransport).to.equal('udp');
+      expect(transport.getPinger().getCount()).to.equal(1);
+      transport.sendVoice(voicePacket(2));
+      var check = setInterval(function() {
+        if (server.received.length) {
+          clearInterval(check);
+          expect(server.received[0].seqNum).to.equal(2);
+          done();
+        }
+      }, 5);
+    });
+  });
+
+  it('falls back to TCP once pings are no longer answered', function(done) {
+    createTransport({ pingInterval: 10, timeout: 50 });
+    transport.once('transport', function(newTransport) {
+      expect(newTransport).to.equal('udp');
+      server.answerPings = false;
+      transport.once('transport', function(newTransport) {
+        expect(newTransport).to.equal('tcp');
+        tunnel.on('voice', function(packet) {
+          expect(packet.seqNum).to.equal(3);
+          done();
+        });
+        transport.sendVoice(voicePacket(3));
+      });
+    });
+  });
+
+  it('switches back to UDP once pings are answered again', function(done) {
+    createTransport({ pingInterval: 10, timeout: 50 });
+    var transports = [];
+    transport.on('transport', function(newTransport) {
+      transports.push(newTransport);
+      if (transports.length == 1) {
+        server.answerPings = false;
+      } else if (transports.length == 2) {
+        server.answerPings = true;
+      } else {
+        expect(transports).to.deep.equal(['udp', 'tcp', 'udp']);
+        done();
+      }
+    });
+  });
+
+  it('emits voice received over UDP and TCP', function(done) {
+    createTransport({ pingInterval: 1000 });
+    var received = [];
+    transport.on('voice', function(packet) {
+      received.push(packet.seqNum);
+      if (received.length == 2) {
+        expect(received.sort()).to.deep.equal([4, 5]);
+        done();
+      }
+    });
+    transport.once('transport', function() {
+      var packet = voicePacket(4);
+      packet.source = 1;
+      server.send(packet);
+      packet = voicePacket(5);
+      packet.source = 1;
+      tunnel.sendVoice(packet);
+    });
+  });
+
+  it('drops datagrams which fail to decrypt', function(done) {
+    createTransport({ pingInterval: 1000 });
+    transport.on('reject', function(reason) {
+      expect(reason).to.be.a('string');
+      done();
+    });
+    transport.once('transport', function() {
+      server.socket.send(Buffer.alloc(20), 0, 20, server.client.port,
+                         server.client.address);
+    });
+  });
+});
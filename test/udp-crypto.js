@@ -0,0 +1,43 @@
+var expect = require('chai').expect,
+    socketPair = require('./helpers.js').socketPair,
+    UdpCrypt = require('../lib/udp-crypto.js');
+
+describe('CryptStream', function() {
+  it('rejects outgoing packets before the key is set up', function(done) {
+    var sockets = socketPair();
+    var stream = new UdpCrypt.CryptStream(sockets[0]);
+    sockets[1].on('data', function() {
+      done(new Error('packet sent without key'));
+    });
+    stream.on('reject', function(reason, packet) {
+      expect(reason).to.equal('notReady');
+      expect(packet.toString('hex')).to.equal('010203');
+      done();
+    });
+    stream.write(Buffer.from([1, 2, 3]));
+  });
+
+  it('round-trips packets and rejects garbage once set up', function(done) {
+    var sockets = socketPair();
+    var block = new UdpCrypt();
+    block.generateKey(function(err) {
+      if (err) return done(err);
+      // The IVs are modified in place, so they must not be shared
+      var mirrored = new UdpCrypt();
+      mirrored.setKey(Buffer.from(block.getKey()));
+      mirrored.setDecryptIV(Buffer.from(block.getEncryptIV()));
+      mirrored.setEncryptIV(Buffer.from(block.getDecryptIV()));
+      var client = new UdpCrypt.CryptStream(sockets[0], block);
+      var server = new UdpCrypt.CryptStream(sockets[1], mirrored);
+      server.on('reject', function(reason) {
+        expect(reason).to.equal('short');
+        server.on('data', function(data) {
+          expect(data.toString('hex')).to.equal('010203');
+          done();
+        });
+        client.write(Buffer.from([1, 2, 3]));
+      });
+      sockets[0].write(Buffer.from([1]));
+    });
+  });
+});
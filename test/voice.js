@@ -0,0 +1,312 @@
+var expect = require('chai').expect,
+    Long = require('protobufjs').Long,
+    voice = require('../lib/voice.js');
+
+var CODECS = ['Opus', 'Speex', 'CELT_Alpha', 'CELT_Beta'];
+var CODEC_IDS = { CELT_Alpha: 0, Speex: 2, CELT_Beta: 3, Opus: 4 };
+
+// Deterministic pseudo random numbers, so failures can be reproduced
+function Random(seed) {
+  this._seed = seed;
+}
+Random.prototype.next = function() {
+  this._seed = (this._seed * 1103515245 + 12345) % 0x80000000;
+  return this._seed / 0x80000000;
+};
+Random.prototype.int = function(min, max) {
+  return min + Math.floor(this.next() * (max - min + 1));
+};
+Random.prototype.bytes = function(length) {
+  var buffer = Buffer.alloc(length);
+  for (var i = 0; i < length; i++) {
+    buffer[i] = this.int(0, 255);
+  }
+  return buffer;
+};
+Random.prototype.float = function() {
+  return Math.fround((this.next() - 0.5) * 2000);
+};
+
+/**
+ * Generates a random voice packet which is valid for the codec and format.
+ */
+function randomPacket(random, codec, dest) {
+  var packet = {
+    codec: codec,
+    mode: random.int(0, 31),
+    seqNum: random.int(0, 1) ? random.int(0, 0xffffffff) : random.int(0, 127),
+    end: random.int(0, 3) == 0,
+    frames: []
+  };
+  if (dest == 'client') {
+    packet.source = random.int(0, 0xffffffff);
+  }
+  if (codec == 'Opus') {
+    if (!packet.end || random.int(0, 1)) {
+      packet.frames.push(random.bytes(random.int(1, random.int(0, 1) ? 0x1fff : 200)));
+    }
+  } else {
+    var count = random.int(packet.end ? 0 : 1, 4);
+    for (var i = 0; i < count; i++) {
+      packet.frames.push(random.bytes(random.int(1, 127)));
+    }
+  }
+  if (random.int(0, 1)) {
+    packet.position = { x: random.float(), y: random.float(), z: random.float() };
+  }
+  return packet;
+}
+
+/**
+ * The packet as it is expected to be decoded.
+ */
+function decoded(packet, dest) {
+  var orig = dest == 'client' ? 'server' : 'client';
+  var result = {
+    mode: packet.mode,
+    target: voice.modeToTarget(orig, packet.mode),
+    seqNum: packet.seqNum,
+    codec: packet.codec,
+    end: packet.end,
+    frames: packet.frames.map(function(frame) {
+      return frame.toString('hex');
+    })
+  };
+  if (orig == 'server') {
+    result.source = packet.source;
+  }
+  if (packet.position) {
+    result.position = packet.position;
+  }
+  return result;
+}
+
+function comparable(packet) {
+  var result = {};
+  Object.keys(packet).forEach(function(key) {
+    result[key] = packet[key];
+  });
+  if (result.frames) {
+    result.frames = result.frames.map(function(frame) {
+      return frame.toString('hex');
+    });
+  }
+  return result;
+}
+
+/**
+ * Encodes the packets and decodes the result.
+ */
+function roundTrip(dest, format, packets, callback) {
+  var orig = dest == 'client' ? 'server' : 'client';
+  var encoder = new voice.Encoder(dest, { format: format });
+  var decoder = new voice.Decoder(orig, { format: format });
+  var encoded = [];
+  var result = [];
+  encoder.on('error', callback);
+  decoder.on('error', callback);
+  decoder.on('debug', function(message, reason) {
+    callback(new Error(message + ': ' + reason));
+  });
+  encoder.on('data', function(buffer) {
+    encoded.push(buffer);
+    decoder.write(buffer);
+  });
+  decoder.on('data', function(packet) {
+    result.push(packet);
+  });
+  decoder.on('finish', function() {
+    callback(null, result, encoded);
+  });
+  encoder.on('end', function() {
+    decoder.end();
+  });
+  packets.forEach(function(packet) {
+    encoder.write(packet);
+  });
+  encoder.end();
+  encoder.resume();
+}
+
+describe('voice', function() {
+  ['client', 'server'].forEach(function(dest) {
+    var direction = dest == 'client' ? 'server to client' : 'client to server';
+
+    describe(direction, function() {
+      describe('legacy format', function() {
+        CODECS.forEach(function(codec) {
+          it('round-trips random ' + codec + ' packets', function(done) {
+            var random = new Random(CODEC_IDS[codec] + 1);
+            var packets = [];
+            for (var i = 0; i < 200; i++) {
+              packets.push(randomPacket(random, codec, dest));
+            }
+            roundTrip(dest, 'legacy', packets, function(err, result, encoded) {
+              if (err) return done(err);
+              expect(result.map(comparable)).to.deep.equal(packets.map(function(packet) {
+                return decoded(packet, dest);
+              }));
+              encoded.forEach(function(buffer, i) {
+                expect(buffer[0] >> 5).to.equal(CODEC_IDS[codec]);
+                expect(buffer[0] & 0x1f).to.equal(packets[i].mode);
+              });
+              done();
+            });
+          });
+        });
+
+        it('round-trips ping packets', function(done) {
+          var packets = [0, 1, 127, 0x3fff, 0xffffffff, Math.pow(2, 52)].map(
+            function(timestamp) {
+              return { timestamp: timestamp };
+            });
+          roundTrip(dest, 'legacy', packets, function(err, result) {
+            if (err) return done(err);
+            expect(result).to.deep.equal(packets);
+            done();
+          });
+        });
+      });
+
+      describe('protobuf format', function() {
+        it('round-trips random Opus packets', function(done) {
+          var random = new Random(42);
+          var packets = [];
+          for (var i = 0; i < 200; i++) {
+            packets.push(randomPacket(random, 'Opus', dest));
+          }
+          roundTrip(dest, 'protobuf', packets, function(err, result) {
+            if (err) return done(err);
+            expect(result.map(comparable)).to.deep.equal(packets.map(function(packet) {
+              return decoded(packet, dest);
+            }));
+            done();
+          });
+        });
+
+        CODECS.slice(1).forEach(function(codec) {
+          it('rejects ' + codec + ' packets', function(done) {
+            var encoder = new voice.Encoder(dest, { format: 'protobuf' });
+            encoder.on('error', function(err) {
+              expect(err).to.be.an.instanceof(TypeError);
+              done();
+            });
+            encoder.write(randomPacket(new Random(1), codec, dest));
+          });
+        });
+
+        it('round-trips ping packets', function(done) {
+          var packets = [0, 1, 0xffffffff, Math.pow(2, 52)].map(function(timestamp) {
+            return { timestamp: timestamp };
+          });
+          roundTrip(dest, 'protobuf', packets, function(err, result) {
+            if (err) return done(err);
+            expect(result).to.deep.equal(packets);
+            done();
+          });
+        });
+      });
+
+      it('round-trips large sequence numbers and sessions', function(done) {
+        var packet = {
+          codec: 'Opus',
+          mode: 0,
+          seqNum: Math.pow(2, 40) + 1,
+          end: false,
+          frames: [Buffer.from([1, 2, 3])]
+        };
+        if (dest == 'client') {
+          packet.source = 0xffffffff;
+        }
+        roundTrip(dest, 'legacy', [packet], function(err, result) {
+          if (err) return done(err);
+          expect(comparable(result[0])).to.deep.equal(decoded(packet, dest));
+          roundTrip(dest, 'protobuf', [packet], function(err, result) {
+            if (err) return done(err);
+            expect(comparable(result[0])).to.deep.equal(decoded(packet, dest));
+            done();
+          });
+        });
+      });
+
+      ['legacy', 'protobuf'].forEach(function(format) {
+        it('decodes ' + format + ' sequence numbers beyond 2^53 as Long',
+           function(done) {
+          var seqNum = Long.fromString('9007199254740993', true);
+          var packet = {
+            codec: 'Opus',
+            mode: 0,
+            seqNum: seqNum,
+            end: false,
+            frames: [Buffer.from([1, 2, 3])],
+            source: 1
+          };
+          roundTrip(dest, format, [packet], function(err, result) {
+            if (err) return done(err);
+            expect(result[0].seqNum).to.be.an.instanceof(Long);
+            expect(result[0].seqNum.toString()).to.equal(seqNum.toString());
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('legacy positional data', function() {
+    var packet = {
+      codec: 'Speex',
+      mode: 0,
+      seqNum: 5,
+      end: false,
+      frames: [Buffer.from([1, 2, 3])],
+      position: { x: 1, y: 2, z: 3 }
+    };
+
+    it('is parsed if it ends exactly at the end of the packet', function(done) {
+      roundTrip('server', 'legacy', [packet], function(err, result, encoded) {
+        if (err) return done(err);
+        expect(encoded[0].length).to.equal(1 + 1 + 4 + 12);
+        expect(result[0].position).to.deep.equal(packet.position);
+        done();
+      });
+    });
+
+    it('is ignored if incomplete', function(done) {
+      var decoder = new voice.Decoder('client');
+      decoder.on('data', function(result) {
+        expect(result.position).to.equal(undefined);
+        expect(result.frames).to.have.length(1);
+        done();
+      });
+      var encoder = new voice.Encoder('server');
+      encoder.on('data', function(buffer) {
+        decoder.write(buffer.slice(0, buffer.length - 1));
+      });
+      encoder.write(packet);
+    });
+  });
+
+  it('drops garbage without failing', function(done) {
+    var random = new Random(7);
+    var decoders = [
+      new voice.Decoder('server'),
+      new voice.Decoder('client'),
+      new voice.Decoder('server', { format: 'protobuf' }),
+      new voice.Decoder('client', { format: 'protobuf' })
+    ];
+    var finished = 0;
+    decoders.forEach(function(decoder) {
+      decoder.on('error', done);
+      decoder.on('finish', function() {
+        if (++finished == decoders.length) {
+          done();
+        }
+      });
+      decoder.resume();
+      for (var i = 0; i < 500; i++) {
+        decoder.write(random.bytes(random.int(0, 40)));
+      }
+      decoder.end();
+    });
+  });
+});